@@ -76,7 +76,8 @@ function doPost(e) {
       'session_created', 'session_resumed', 'session_paused', 'session_timer',
       'consent_opened', 'consent_completed', 'consent_verified', 'consent_affirmed',
       'video_declined',
-      'task_opened', 'task_started', 'task_departed', 'task_returned', 'inactivity',
+      'task_opened', 'task_started', 'task_departed', 'task_returned',
+      'inactivity_warned', 'inactivity_paused', 'inactivity_resumed',
       'tab_hidden', 'tab_visible', 'window_closed',
       'help_requested', 'task_skipped', 'task_completed', 'skilled_task_completed',
       'image_recorded', 'image_recorded_and_uploaded', 'image_recorded_no_upload',
@@ -84,15 +85,26 @@ function doPost(e) {
       'calendly_opened', 'eeg_interest', 'aslct_issue',
       'study_completed',
       'save_state',
-      'get_session',
       'heartbeat',
       'external_task_stuck',
-      'mousemove', 'mousedown', 'keydown', 'touchstart'
+      'embed_task_ready', 'embed_task_progress', 'embed_task_completed', 'embed_task_error',
+      'task_verified',
+      'input_summary', 'input_trace',
+      'recording_quality', 'recording_upload_waived', 'image_skipped', 'preflight_completed',
+      'support_ticket'
     ]);
     if (!allowed.has(data.action)) {
       return createCorsOutput({ success: false, error: 'Unknown action' });
     }
 
+    // The client event queue retries until it gets a response, so the same
+    // event can arrive twice. Remember handled ids for the cache lifetime (6h).
+    var eventCache = data.clientEventId ? CacheService.getScriptCache() : null;
+    var eventCacheKey = eventCache ? 'evt:' + data.clientEventId : '';
+    if (eventCache && eventCache.get(eventCacheKey)) {
+      return createCorsOutput({ success: true, duplicate: true });
+    }
+
     // Ping
     if (data.action === 'test_connection') {
       return createCorsOutput({ success: true, pong: true, now: new Date().toISOString() });
@@ -248,6 +260,14 @@ function doPost(e) {
         });
         break;
 
+      case 'task_verified':
+        // Sent only by server.js when an external platform hits the return link
+        if (!serverKeyMatches_(data.serverKey)) {
+          return createCorsOutput({ success: false, error: 'Auth failed' });
+        }
+        logTaskVerified(ss, data);
+        break;
+
       case 'heartbeat':
         withDocLock_(function () {
           logSessionEvent(ss, {
@@ -270,12 +290,18 @@ function doPost(e) {
         });
         break;
 
-      case 'inactivity':
+      case 'inactivity_warned':
+      case 'inactivity_paused':
+      case 'inactivity_resumed':
         withDocLock_(function () {
+          var inactivityDetails = data.task || '';
+          if (data.action === 'inactivity_warned') inactivityDetails += ' (idle ' + (data.idleSeconds || 0) + 's, pauses in ' + (data.countdownSeconds || 0) + 's)';
+          if (data.action === 'inactivity_paused') inactivityDetails += ' (no response for ' + (data.secondsSinceWarning || 0) + 's)';
+          if (data.action === 'inactivity_resumed') inactivityDetails += ' (via ' + (data.via || 'unknown') + ')';
           logSessionEvent(ss, {
             sessionCode: data.sessionCode,
-            eventType: 'Inactivity',
-            details: data.task,
+            eventType: { inactivity_warned: 'Inactivity Warned', inactivity_paused: 'Inactivity Paused', inactivity_resumed: 'Inactivity Resumed' }[data.action],
+            details: inactivityDetails,
             timestamp: data.timestamp
           });
         });
@@ -314,30 +340,94 @@ function doPost(e) {
         });
         break;
 
-      case 'mousemove':
-      case 'mousedown':
-      case 'touchstart':
-      case 'keydown':
+      case 'embed_task_ready':
+      case 'embed_task_progress':
+      case 'embed_task_completed':
+      case 'embed_task_error':
         withDocLock_(function () {
-          var details = {};
-          if (typeof data.x === 'number') details.x = data.x;
-          if (typeof data.y === 'number') details.y = data.y;
-          if (data.key) details.key = data.key;
-          var typeMap = {
-            mousemove: 'Mouse Move',
-            mousedown: 'Mouse Down',
-            touchstart: 'Touch Start',
-            keydown: 'Key Down'
+          var embedTypeMap = {
+            embed_task_ready: 'Embed Ready',
+            embed_task_progress: 'Embed Progress',
+            embed_task_completed: 'Embed Completed',
+            embed_task_error: 'Embed Error'
           };
           logSessionEvent(ss, {
             sessionCode: data.sessionCode,
-            eventType: typeMap[data.action] || data.action,
-            details: Object.keys(details).length ? JSON.stringify(details) : '',
+            eventType: embedTypeMap[data.action],
+            details: data.task + (data.payload ? ' ' + data.payload : ''),
             timestamp: data.timestamp
           });
         });
         break;
 
+      case 'input_summary':
+        logSessionEvent(ss, {
+          sessionCode: data.sessionCode,
+          eventType: 'Input Summary',
+          details: (data.task ? data.task + ' - ' : '') +
+            'moves: ' + (data.moves || 0) + ', path: ' + (data.pathPx || 0) + 'px' +
+            ', clicks: ' + (data.clicks || 0) + ', touches: ' + (data.touches || 0) +
+            ', keys: ' + (data.keys || 0) + (data.keys ? ' ' + (data.keyCategories || '') : '') + ', max idle: ' + Math.round((data.maxIdleMs || 0) / 1000) + 's',
+          timestamp: data.timestamp
+        });
+        break;
+
+      case 'input_trace':
+        // Raw points stay in Firestore; the sheet only notes that a trace exists
+        var tracePoints = [];
+        try { tracePoints = JSON.parse(data.points || '[]'); } catch (e) {}
+        logSessionEvent(ss, {
+          sessionCode: data.sessionCode,
+          eventType: 'Input Trace',
+          details: tracePoints.length + ' points from ' + (data.windowStart || ''),
+          timestamp: data.timestamp
+        });
+        break;
+
+      case 'recording_upload_waived':
+        logSessionEvent(ss, {
+          sessionCode: data.sessionCode,
+          eventType: 'Recording Upload Waived',
+          details: 'Finished without image(s) ' + (data.imageNumbers || '') + (data.error ? ': ' + data.error : ''),
+          timestamp: data.timestamp
+        });
+        break;
+
+      case 'recording_quality':
+        logSessionEvent(ss, {
+          sessionCode: data.sessionCode,
+          eventType: 'Recording Quality',
+          details: 'Image ' + (data.imageNumber || '') + stimulusLabel_(data) + ' ' + (data.recordingType || '') + ': ' +
+            (data.passed ? 'passed' : 'failed ' + (data.failedChecks || '') + ', ' + (data.decision || '')) +
+            ' (' + (data.durationSec != null ? data.durationSec + 's' : 'length unknown') +
+            (data.meanBrightness != null ? ', brightness ' + data.meanBrightness : '') +
+            (data.audioRmsDb != null ? ', ' + data.audioRmsDb + ' dBFS' : '') +
+            (data.skinFraction != null ? ', skin ' + data.skinFraction : '') + ')',
+          timestamp: data.timestamp
+        });
+        break;
+
+      case 'preflight_completed':
+        logSessionEvent(ss, {
+          sessionCode: data.sessionCode,
+          eventType: 'Preflight',
+          details: (data.failed ? 'failed: ' + data.failed : 'no failures') +
+            (data.warned ? '; warnings: ' + data.warned : '') +
+            (data.unavailableTasks ? '; not offered: ' + data.unavailableTasks : '') +
+            '; recording ' + (data.recording || 'available'),
+          timestamp: data.timestamp
+        });
+        break;
+
+      case 'image_skipped':
+        logSessionEvent(ss, {
+          sessionCode: data.sessionCode,
+          eventType: 'Image Skipped',
+          details: 'Image ' + (data.imageNumber || '') + stimulusLabel_(data) + ' after ' + (data.attempts || 0) + ' recording attempts',
+          timestamp: data.timestamp
+        });
+        break;
+
       case 'help_requested':
         logHelpRequested(ss, data);
         break;
@@ -416,6 +506,10 @@ function doPost(e) {
         logASLCTIssue(ss, data);
         break;
 
+      case 'support_ticket':
+        logSupportTicket(ss, data);
+        break;
+
       case 'study_completed':
         completeStudy(ss, data);
         break;
@@ -423,11 +517,9 @@ function doPost(e) {
       case 'save_state':
         saveSessionState(ss, data);
         break;
-
-      case 'get_session':
-        return getSessionData(ss, data.sessionCode);
     }
 
+    if (eventCache) eventCache.put(eventCacheKey, '1', 21600);
     return createCorsOutput({ success: true });
   } catch (err) {
     console.error('doPost error:', err);
@@ -475,7 +567,7 @@ var SESSIONS_HEADERS = [
   'Total Time (min)','Active Time (min)','Idle Time (min)','Paused Time (min)','Tasks Completed','Status',
   'Device Type','Consent Status','Consent Source','Consent Code','Consent Timestamp',
   'EEG Status','EEG Scheduled At','EEG Scheduling Source',
-  'Hearing Status','Fluency','State JSON'
+  'Hearing Status','Fluency','Sequence Condition','Task Order','State JSON'
 ];
 
 var CONSENT_HEADER_VARIANTS = {
@@ -791,7 +883,7 @@ function safeSetupOrMigrate_() {
 
     // Task Progress
     ensureSheetWithHeaders_(ss, 'Task Progress', [
-      'Timestamp','Session Code','Participant ID','Device Type','Task Name','Event Type','Start Time','End Time','Elapsed Time (sec)','Active Time (sec)','Pause Count','Paused Time (sec)','Inactive Time (sec)','Activity Score (%)','Details','Completed'
+      'Timestamp','Session Code','Participant ID','Device Type','Task Name','Event Type','Start Time','End Time','Elapsed Time (sec)','Active Time (sec)','Pause Count','Paused Time (sec)','Inactive Time (sec)','Activity Score (%)','Details','Completed','Verification'
     ]);
 
     // Session Events
@@ -817,6 +909,12 @@ function safeSetupOrMigrate_() {
     // Score tracking
     ensureSheetWithHeaders_(ss, 'ASLCT Scores', ['Session Code','ASLCT Score','Entry Time','Notes']);
     ensureSheetWithHeaders_(ss, 'RC Scores', ['Session Code','RC Score','Entry Time','Notes']);
+
+    // Support tickets
+    ensureSheetWithHeaders_(ss, 'Support Tickets', SUPPORT_TICKETS_HEADERS);
+
+    // External task returns confirmed by server.js
+    ensureSheetWithHeaders_(ss, 'Verified Returns', VERIFIED_RETURNS_HEADERS);
     var summary = ensureSheetWithHeaders_(ss, 'Scores Summary', ['Session Code','ASLCT Score','RC Score']);
     if (summary.getLastRow() < 2) {
       summary.getRange('B2').setFormula('=ARRAYFORMULA(IF(A2:A="",,IFERROR(VLOOKUP(A2:A,\'ASLCT Scores\'!A:B,2,false),"")))');
@@ -958,7 +1056,8 @@ function handleVideoUpload(data) {
     }
 
     var ts = new Date().toISOString().replace(/[:.]/g, '-');
-    var filename = data.sessionCode + '_image' + data.imageNumber + '_' + ts + '.' + extension;
+    var stimulusPart = /^[A-Za-z0-9_-]{1,32}$/.test(data.stimulusId || '') ? '_' + data.stimulusId : '';
+    var filename = data.sessionCode + '_image' + data.imageNumber + stimulusPart + '_' + ts + '.' + extension;
     
     var mimeTypeMap = {
       'mp4': 'video/mp4',
@@ -1139,10 +1238,10 @@ function initialSetup() {
 
     var progressSheet = ss.getSheetByName('Task Progress') || ss.insertSheet('Task Progress');
     progressSheet.clear();
-    progressSheet.getRange(1, 1, 1, 16).setValues([[
-      'Timestamp','Session Code','Participant ID','Device Type','Task Name','Event Type','Start Time','End Time','Elapsed Time (sec)','Active Time (sec)','Pause Count','Paused Time (sec)','Inactive Time (sec)','Activity Score (%)','Details','Completed'
+    progressSheet.getRange(1, 1, 1, 17).setValues([[
+      'Timestamp','Session Code','Participant ID','Device Type','Task Name','Event Type','Start Time','End Time','Elapsed Time (sec)','Active Time (sec)','Pause Count','Paused Time (sec)','Inactive Time (sec)','Activity Score (%)','Details','Completed','Verification'
     ]]);
-    formatHeaders(progressSheet, 16);
+    formatHeaders(progressSheet, 17);
 
     var eventsSheet = ss.getSheetByName('Session Events') || ss.insertSheet('Session Events');
     eventsSheet.clear();
@@ -1262,7 +1361,11 @@ function createSession(ss, data) {
     var createdIso = normalizeIso_(data.created || data.timestamp);
     var lastIso    = normalizeIso_(data.timestamp || data.created);
     var dev        = detectDeviceType_(data);
-    var totalTasks = dev.isMobile ? 6 : 7;
+    var totalTasks = requiredTaskNames_({
+      device: dev.isMobile ? 'mobile' : 'desktop',
+      fluency: data.fluency || '',
+      hearingStatus: data.hearingStatus || ''
+    }).length;
 
     var row = findRowBySessionCode_(sheet, data.sessionCode);
     if (!row) {
@@ -1286,12 +1389,14 @@ function createSession(ss, data) {
       'Active Time (min)': 0,
       'Idle Time (min)': 0,
       'Paused Time (min)': 0,
-      'Tasks Completed': (dev.isMobile ? '0/6' : '0/7'),
+      'Tasks Completed': '0/' + totalTasks,
       'Status': 'Active',
       'Device Type': dev.label,
       'Consent Status': 'Pending',
       'Hearing Status': data.hearingStatus || '',
       'Fluency': data.fluency || '',
+      'Sequence Condition': data.sequenceCondition || '',
+      'Task Order': data.taskOrder || '',
       'State JSON': ''
     });
 
@@ -1300,7 +1405,9 @@ function createSession(ss, data) {
     logSessionEvent(ss, {
       sessionCode: data.sessionCode,
       eventType: 'Session Created',
-      details: 'ID: ' + (data.participantID || '') + ', Device: ' + dev.label + ', Tasks: ' + totalTasks,
+      details: 'ID: ' + (data.participantID || '') + ', Device: ' + dev.label + ', Tasks: ' + totalTasks +
+        (data.sequenceCondition ? ', Order: ' + data.sequenceCondition : '') +
+        (data.assignmentSource ? ' (' + data.assignmentSource + ')' : ''),
       timestamp: lastIso,
       userAgent: data.userAgent || ''
     });
@@ -1655,6 +1762,12 @@ function logTaskComplete(ss, data) {
     if (data.recordingDuration) {
       details = (details ? details + '; ' : '') + 'Recording ' + data.recordingDuration + 's';
     }
+    if (data.summary) {
+      details = (details ? details + '; ' : '') + 'Summary: ' + data.summary;
+    }
+    if (data.visits > 1) {
+      details = (details ? details + '; ' : '') + 'Visits: ' + data.visits;
+    }
     if (suspicious) {
       details = (details ? details + ' | ' : '') + 'FLAG: Low activity';
     }
@@ -1675,7 +1788,8 @@ function logTaskComplete(ss, data) {
       data.inactive || 0,
       activityPct || 0,
       details,
-      true
+      true,
+      completionVerification_(ss, data)
     ]);
     updateCompletedTasksCount(ss, data.sessionCode);
     updateSessionActivity(ss, data.sessionCode, data.timestamp);
@@ -1698,6 +1812,66 @@ function logTaskComplete(ss, data) {
   });
 }
 
+// Verified external returns (server.js). The browser's own completionSource is
+// only trusted for embedded tasks, whose completion message it relays.
+var VERIFIED_RETURNS_HEADERS = ['Timestamp','Session Code','Task','Nonce'];
+
+function serverKeyMatches_(provided) {
+  var expected = PropertiesService.getScriptProperties().getProperty('SERVER_KEY') || '';
+  return !!expected && String(provided || '') === expected;
+}
+
+function isReturnVerified_(ss, sessionCode, taskName) {
+  var sheet = ss.getSheetByName('Verified Returns');
+  if (!sheet || sheet.getLastRow() < 2) return false;
+  var rows = sheet.getRange(2, 2, sheet.getLastRow() - 1, 2).getValues();
+  return rows.some(function (r) {
+    return r[0] === sessionCode && normalizeTaskName_(String(r[1])) === taskName;
+  });
+}
+
+function completionVerification_(ss, data) {
+  var taskName = normalizeTaskName_(data.task);
+  var type = '';
+  try {
+    var tasks = getTaskManifest_().tasks;
+    Object.keys(tasks).forEach(function (code) {
+      if (tasks[code].name === taskName) type = tasks[code].type;
+    });
+  } catch (err) {}
+  if (type === 'external') {
+    return isReturnVerified_(ss, data.sessionCode, taskName) ? 'verified' : 'self-reported';
+  }
+  return data.completionSource || '';
+}
+
+function logTaskVerified(ss, data) {
+  withDocLock_(function () {
+    var taskName = normalizeTaskName_(data.task);
+    var sheet = ensureSheetWithHeaders_(ss, 'Verified Returns', VERIFIED_RETURNS_HEADERS);
+    sheet.appendRow([data.timestamp || new Date().toISOString(), data.sessionCode, data.task, data.nonce || '']);
+
+    // The participant may have clicked Mark Complete before the return arrived
+    var progress = ss.getSheetByName('Task Progress');
+    var map = headerMap_(progress);
+    if (map['Verification'] && progress.getLastRow() > 1) {
+      var rows = progress.getRange(2, 1, progress.getLastRow() - 1, 6).getValues();
+      rows.forEach(function (r, i) {
+        if (r[1] === data.sessionCode && normalizeTaskName_(String(r[4])) === taskName && r[5] === 'Completed') {
+          progress.getRange(i + 2, map['Verification']).setValue('verified');
+        }
+      });
+    }
+
+    logSessionEvent(ss, {
+      sessionCode: data.sessionCode,
+      eventType: 'Task Verified',
+      details: data.task + ' return link (nonce ' + (data.nonce || '') + ')',
+      timestamp: data.timestamp || new Date().toISOString()
+    });
+  });
+}
+
 function getParticipantIDFromSession(ss, sessionCode) {
   var sheet = ss.getSheetByName('Sessions');
   if (!sheet) return '';
@@ -1719,7 +1893,7 @@ function logTaskSkipped(ss, data) {
       'Skipped',
       '',
       '',
-      0, 0, 0, 0, 0,
+      0, 0, 0, 0, 0, 0,
       data.reason || 'User choice',
       true
     ]);
@@ -1757,6 +1931,64 @@ function logASLCTIssue(ss, data) {
   });
 }
 
+// "Report a problem" tickets from the study page. Rows are kept sorted by
+// session, oldest ticket first; change Status to Closed once one is handled.
+// Study Admin → Show open support tickets filters to the open ones.
+var SUPPORT_TICKETS_HEADERS = [
+  'Session Code','Opened','Ticket','Status','Participant ID','Category','Task',
+  'Message','Device','Screenshot','Recent Events'
+];
+
+function logSupportTicket(ss, data) {
+  var device = {};
+  var recent = [];
+  try { device = JSON.parse(data.device || '{}'); } catch (e) {}
+  try { recent = JSON.parse(data.recentEvents || '[]'); } catch (e) {}
+  var failed = device.preflightFailed || [];
+
+  withDocLock_(function () {
+    var sheet = ensureSheetWithHeaders_(ss, 'Support Tickets', SUPPORT_TICKETS_HEADERS);
+    sheet.appendRow([
+      data.sessionCode || 'none',
+      data.timestamp || new Date().toISOString(),
+      data.ticketNumber || '',
+      'Open',
+      data.participantID || '',
+      data.category || '',
+      data.task || data.screen || '',
+      data.message || '',
+      [device.deviceType, device.screen && device.screen + ' screen', device.viewport && device.viewport + ' window',
+        device.online === false ? 'offline' : '', failed.length ? 'failed checks: ' + failed.join(', ') : '',
+        device.userAgent].filter(function (v) { return v; }).join('; '),
+      data.screenshotPath || '',
+      recent.map(function (ev) {
+        return [ev.timestamp, ev.action, ev.task, ev.reason, ev.error].filter(function (v) { return v != null && v !== ''; }).join(' ');
+      }).join('\n')
+    ]);
+    var lastRow = sheet.getLastRow();
+    if (lastRow > 2) {
+      sheet.getRange(2, 1, lastRow - 1, SUPPORT_TICKETS_HEADERS.length)
+        .sort([{ column: 1, ascending: true }, { column: 2, ascending: true }]);
+    }
+    logSessionEvent(ss, {
+      sessionCode: data.sessionCode,
+      eventType: 'Support Ticket',
+      details: (data.ticketNumber || '') + ' ' + (data.category || '') + (data.task ? ' (' + data.task + ')' : '') + ': ' + (data.message || ''),
+      timestamp: data.timestamp
+    });
+  });
+}
+
+function showOpenSupportTickets() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = ensureSheetWithHeaders_(ss, 'Support Tickets', SUPPORT_TICKETS_HEADERS);
+  if (sheet.getFilter()) sheet.getFilter().remove();
+  sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 2), SUPPORT_TICKETS_HEADERS.length).createFilter()
+    .setColumnFilterCriteria(SUPPORT_TICKETS_HEADERS.indexOf('Status') + 1,
+      SpreadsheetApp.newFilterCriteria().whenTextEqualTo('Open').build());
+  ss.setActiveSheet(sheet);
+}
+
 function logSessionTimer(ss, data) {
   withDocLock_(function () {
     var sheet = ss.getSheetByName('Session Timer');
@@ -1792,16 +2024,16 @@ function logImageRecorded(ss, data) {
       data.sessionCode,
       data.participantID || '',
       dev,
-      'Image Description',
+      normalizeTaskName_('ID'),
       'Image ' + data.imageNumber + ' Recorded (' + recType + ')',
       '', '', 0, 0, 0, 0, 0,
-      'Image ' + data.imageNumber + '/2 (' + recType + ')',
+      imageOfLabel_(data) + ' (' + recType + ')',
       false
     ]);
     logSessionEvent(ss, {
       sessionCode: data.sessionCode,
       eventType: 'Image Recorded',
-      details: 'Image ' + data.imageNumber + '/2 (' + recType + ')',
+      details: imageOfLabel_(data) + ' (' + recType + ')',
       timestamp: data.timestamp
     });
   });
@@ -1812,21 +2044,23 @@ function logImageRecordedAndUploaded(ss, data) {
     var p = ss.getSheetByName('Task Progress');
     var dev = detectDeviceType_(data).label;
     var recType = (data.recordingType || 'video');
+    var take = (data.durationSec ? ', ' + data.durationSec + 's' : '') +
+      (data.attempts ? ', ' + data.attempts + (data.attempts === 1 ? ' attempt' : ' attempts') : '');
     p.appendRow([
       data.timestamp,
       data.sessionCode,
       data.participantID || '',
       dev,
-      'Image Description',
-      'Image ' + data.imageNumber + ' Recorded & Uploaded (' + recType + ')',
+      normalizeTaskName_('ID'),
+      'Image ' + data.imageNumber + stimulusLabel_(data) + ' Recorded & Uploaded (' + recType + ')',
       '', '', 0, 0, 0, 0, 0,
-      'File: ' + data.filename + ' (' + recType + ')',
+      'File: ' + data.filename + ' (' + recType + take + ')',
       false
     ]);
     logSessionEvent(ss, {
       sessionCode: data.sessionCode,
       eventType: 'Image Recorded & Uploaded',
-      details: 'Image ' + data.imageNumber + '/2 - File: ' + data.filename + ' (' + recType + ') - ID: ' + data.driveFileId + ' - Method: ' + (data.uploadMethod || 'unknown'),
+      details: 'Image ' + data.imageNumber + stimulusLabel_(data) + ' - File: ' + data.filename + ' (' + recType + take + ') - ID: ' + data.driveFileId + ' - Method: ' + (data.uploadMethod || 'unknown'),
       timestamp: data.timestamp
     });
   });
@@ -1842,7 +2076,7 @@ function logImageRecordedNoUpload(ss, data) {
       data.sessionCode,
       data.participantID || '',
       dev,
-      'Image Description',
+      normalizeTaskName_('ID'),
       'Image ' + data.imageNumber + ' Recorded (Local Only - ' + recType + ')',
       '', '', 0, 0, 0, 0, 0,
       'Reason: ' + data.reason + ' (' + recType + ')',
@@ -1851,7 +2085,7 @@ function logImageRecordedNoUpload(ss, data) {
     logSessionEvent(ss, {
       sessionCode: data.sessionCode,
       eventType: 'Image Recorded (No Upload)',
-      details: 'Image ' + data.imageNumber + '/2 - ' + recType + ' - Reason: ' + data.reason,
+      details: imageOfLabel_(data) + ' - ' + recType + ' - Reason: ' + data.reason,
       timestamp: data.timestamp
     });
   });
@@ -1867,10 +2101,10 @@ function logVideoRecording(ss, data) {
       data.sessionCode,
       data.participantID || '',
       dev,
-      'Image Description',
+      normalizeTaskName_('ID'),
       'Recording Completed - Image ' + data.imageNumber + ' (' + recType + ')',
       '', '', 0, 0, 0, 0, 0,
-      'Image ' + data.imageNumber + ' of 2 recorded (' + recType + ')',
+      imageOfLabel_(data) + ' recorded (' + recType + ')',
       false
     ]);
 
@@ -2099,16 +2333,109 @@ function updateTotalTime(ss, sessionCode) {
   });
 }
 
+// ===============================
+// Task manifest (public/tasks.json)
+// ===============================
+// The hosted tasks.json is the single list of tasks. Set Script Property
+// TASK_MANIFEST_URL (e.g. https://<project>.web.app/tasks.json). The last
+// manifest that parsed is kept in Script Properties so a hosting outage
+// doesn't break the counters.
+var TASK_MANIFEST_CACHE_KEY = 'task_manifest';
+var __taskManifest = null;
+
+function getTaskManifest_() {
+  if (__taskManifest) return __taskManifest;
+  var cache = CacheService.getScriptCache();
+  var json = cache.get(TASK_MANIFEST_CACHE_KEY);
+  if (!json) {
+    var props = PropertiesService.getScriptProperties();
+    var url = props.getProperty('TASK_MANIFEST_URL');
+    if (url) {
+      try {
+        var resp = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+        if (resp.getResponseCode() === 200 && JSON.parse(resp.getContentText()).tasks) {
+          json = resp.getContentText();
+          props.setProperty('TASK_MANIFEST_LAST_GOOD', json);
+        } else {
+          Logger.log('Task manifest fetch returned ' + resp.getResponseCode());
+        }
+      } catch (err) {
+        Logger.log('Task manifest fetch failed: ' + err);
+      }
+    }
+    json = json || props.getProperty('TASK_MANIFEST_LAST_GOOD');
+    if (!json) throw new Error('No task manifest: set TASK_MANIFEST_URL in Script Properties');
+    cache.put(TASK_MANIFEST_CACHE_KEY, json, 600);
+  }
+  __taskManifest = JSON.parse(json);
+  return __taskManifest;
+}
+
+// Menu helper: drop the cached manifest after editing tasks.json
+function refreshTaskManifest() {
+  CacheService.getScriptCache().remove(TASK_MANIFEST_CACHE_KEY);
+  __taskManifest = null;
+  var tasks = getTaskManifest_().tasks;
+  SpreadsheetApp.getUi().alert('Loaded ' + Object.keys(tasks).length + ' tasks from the manifest');
+}
+
+// Same rule check as taskApplies() in public/tasks.js: every includeIf key
+// must list the participant's value; blank facts pass.
+function taskApplies_(task, facts) {
+  var rules = (task && task.includeIf) || {};
+  return Object.keys(rules).every(function (key) {
+    return !facts[key] || [].concat(rules[key]).indexOf(facts[key]) !== -1;
+  });
+}
+
+// Required task names for a participant, in manifest order.
+// facts = { device: 'desktop'|'mobile', fluency, hearingStatus }
+function requiredTaskNames_(facts) {
+  var tasks = getTaskManifest_().tasks;
+  return Object.keys(tasks).filter(function (code) {
+    var t = tasks[code];
+    return t.enabled !== false && t.required !== false && taskApplies_(t, facts);
+  }).map(function (code) { return tasks[code].name; });
+}
+
+// " [beehive]" for uploads and events that name their stimulus; empty for older clients
+function stimulusLabel_(data) {
+  return data && data.stimulusId ? ' [' + data.stimulusId + ']' : '';
+}
+
+// How many images the ID task records: its stimulusSet (count, or every image),
+// or the two CONFIG images without one. 0 if the manifest can't be loaded.
+function recordingImageCount_() {
+  var task;
+  try {
+    task = getTaskManifest_().tasks.ID;
+  } catch (err) {
+    return 0;
+  }
+  var set = task && task.stimulusSet;
+  if (!set) return 2;
+  var images = (set.images || []).length;
+  return Math.min(set.count || images, images);
+}
+
+// "Image 2/3", or "Image 2" when the set size isn't known
+function imageOfLabel_(data) {
+  var count = recordingImageCount_();
+  return 'Image ' + data.imageNumber + (count ? '/' + count : '');
+}
+
 function normalizeTaskName_(name) {
-  var map = {
-    'Reading Comprehension (RC)': 'Reading Comprehension Task',
-    'RC': 'Reading Comprehension Task',
-    'MRT': 'Mental Rotation Task',
-    'Virtual Campus': 'Virtual Campus Navigation',
-    'Spatial Nav': 'Spatial Navigation',
-    'Image Desc': 'Image Description'
-  };
-  return map[name] || name;
+  var tasks;
+  try {
+    tasks = getTaskManifest_().tasks;
+  } catch (err) {
+    return name;
+  }
+  for (var code in tasks) {
+    var t = tasks[code];
+    if (name === code || name === t.name || (t.aliases || []).indexOf(name) !== -1) return t.name;
+  }
+  return name;
 }
 
 function getRequiredTasksForSession_(ss, sessionCode) {
@@ -2118,47 +2445,36 @@ function getRequiredTasksForSession_(ss, sessionCode) {
   var map = {};
   for (var i = 0; i < headers.length; i++) map[headers[i]] = i;
 
-  var deviceType = 'Desktop';
-  var consentStatus = '';
+  var facts = { device: 'desktop', fluency: '', hearingStatus: '' };
   for (var r = 1; r < rows.length; r++) {
     if (rows[r][0] === sessionCode) {
-      if (map['Device Type'] != null) deviceType = rows[r][map['Device Type']] || 'Desktop';
-      if (map['Consent Status'] != null) consentStatus = rows[r][map['Consent Status']] || '';
+      var deviceType = map['Device Type'] != null ? rows[r][map['Device Type']] : '';
+      if (String(deviceType).toLowerCase().indexOf('mobile') !== -1) facts.device = 'mobile';
+      if (map['Fluency'] != null) facts.fluency = String(rows[r][map['Fluency']] || '');
+      if (map['Hearing Status'] != null) facts.hearingStatus = String(rows[r][map['Hearing Status']] || '');
       break;
     }
   }
-  var isMobile = String(deviceType).toLowerCase().indexOf('mobile') !== -1;
 
-  var required = [
-    'Reading Comprehension Task',
-    'Mental Rotation Task',
-    'ASL Comprehension Test',
-    'Spatial Navigation',
-    // 'Image Description', temporarily disabled
-    'Demographics Survey'
-  ];
-  if (!isMobile) required.splice(3, 0, 'Virtual Campus Navigation');
-
-  // Image Description task is disabled; consent filtering not needed
+  var required = requiredTaskNames_(facts);
+  // A participant who skips ASLCT because they do not know ASL is not expected to take it
+  var aslct = normalizeTaskName_('ASLCT');
+  if (skippedForNoAsl_(ss, sessionCode, aslct)) {
+    required = required.filter(function (t) { return t !== aslct; });
+  }
+  return required;
+}
 
+function skippedForNoAsl_(ss, sessionCode, aslct) {
   var progress = ss.getSheetByName('Task Progress').getDataRange().getValues();
-  var aslctOptional = false;
   for (var i = 1; i < progress.length; i++) {
-    if (progress[i][1] === sessionCode &&
-        progress[i][4] === 'ASL Comprehension Test' &&
-        progress[i][5] === 'Skipped') {
-      var details = String(progress[i][14] || '').toLowerCase();
-      if (details.indexOf('does not know asl') !== -1) {
-        aslctOptional = true;
-        break;
-      }
-    }
+    if (progress[i][1] !== sessionCode || progress[i][5] !== 'Skipped') continue;
+    if (normalizeTaskName_(progress[i][4]) !== aslct) continue;
+    // Older skip rows hold the reason one column early, under Activity Score
+    var details = (String(progress[i][13] || '') + ' ' + String(progress[i][14] || '')).toLowerCase();
+    if (details.indexOf('does not know asl') !== -1) return true;
   }
-  if (aslctOptional) {
-    required = required.filter(function (t) { return t !== 'ASL Comprehension Test'; });
-  }
-
-  return required.map(normalizeTaskName_);
+  return false;
 }
 
 function updateCompletedTasksCount(ss, sessionCode) {
@@ -2276,60 +2592,6 @@ function logEvent(ss, data) {
   });
 }
 
-function getSessionData(ss, sessionCode) {
-  if (!sessionCode) return createCorsOutput({ success: false, error: 'Missing sessionCode' });
-
-  sessionCode = String(sessionCode).trim().toUpperCase();
-
-  var sheet = ss.getSheetByName('Sessions');
-  var data = sheet.getDataRange().getValues();
-  var headers = data[0].map(function (v) { return String(v || ''); });
-  var map = {};
-  for (var i = 0; i < headers.length; i++) map[headers[i]] = i;
-
-  for (var r = 1; r < data.length; r++) {
-    if (data[r][0] === sessionCode) {
-      var activitySummary = getSessionActivitySummary(sessionCode);
-      var activityTracking = getSessionActivityTracking(sessionCode);
-      var stateRaw = map['State JSON'] != null ? data[r][map['State JSON']] : '';
-      var c2 = false;
-      var vDeclined = false;
-      if (stateRaw) {
-        try {
-          var parsed = JSON.parse(stateRaw);
-          if (typeof parsed === 'string') parsed = JSON.parse(parsed);
-          var cs = parsed.consentStatus || {};
-          c2 = !!cs.consent2;
-          vDeclined = !!cs.videoDeclined;
-        } catch (e) {}
-      }
-      return createCorsOutput({
-        success: true,
-        session: {
-          sessionCode: data[r][0],
-          participantID: map['Participant ID'] != null ? data[r][map['Participant ID']] : '',
-          email: map['Email'] != null ? data[r][map['Email']] : '',
-          created: map['Created Date'] != null ? data[r][map['Created Date']] : '',
-          lastActivity: map['Last Activity'] != null ? data[r][map['Last Activity']] : '',
-          totalTimeMin: map['Total Time (min)'] != null ? data[r][map['Total Time (min)']] : '',
-          activeTimeMin: map['Active Time (min)'] != null ? data[r][map['Active Time (min)']] : '',
-          pausedTimeMin: map['Paused Time (min)'] != null ? data[r][map['Paused Time (min)']] : '',
-          tasksCompleted: map['Tasks Completed'] != null ? data[r][map['Tasks Completed']] : '',
-          status: map['Status'] != null ? data[r][map['Status']] : '',
-          deviceType: map['Device Type'] != null ? data[r][map['Device Type']] : '',
-          consentStatus: map['Consent Status'] != null ? data[r][map['Consent Status']] : '',
-          consent2: c2,
-          videoDeclined: vDeclined,
-          state: stateRaw
-        },
-        activity_tracking: activityTracking,
-        activity_summary: activitySummary
-      });
-    }
-  }
-  return createCorsOutput({ success: false, error: 'Not found' });
-}
-
 // ===============================
 // Enhanced video logging
 // ===============================
@@ -2677,8 +2939,10 @@ function onOpen() {
     .addItem('Safe setup / migrate', 'safeSetupOrMigrate')
     .addItem('Test video upload', 'testVideoUpload')
     .addItem('Repair task counts', 'repairAllSessionCounts')
+    .addItem('Reload task manifest', 'refreshTaskManifest')
     .addItem('Test activity summary', 'testActivitySummary')
     .addItem('View session activity', 'viewSessionActivity')
+    .addItem('Show open support tickets', 'showOpenSupportTickets')
     .addItem('Repair sessions (formats + values)', 'repairCorruptedSessionCells')
     .addSeparator()
     .addItem('Housekeeping → Inventory & clean (safe)', 'housekeepingSafeClean')
@@ -2815,7 +3079,7 @@ var HOUSEKEEPING_CONFIG = {
     'Sessions','Task Progress','Session Events',
     'Video Tracking','Email Reminders',
     'Scores Summary','ASLCT Scores','RC Scores',
-    'Dashboard'
+    'Support Tickets','Verified Returns','Dashboard'
   ],
   taskRawRegex: /^(RC|MRT|Spatial\s*Navigation)/i,
   deprecatedNames: [
@@ -8,7 +8,30 @@ window.CONFIG = {
   IMAGE_2: 'images/description2.jpg',
   ASLCT_ACCESS_CODE: 'DVCWHNABJ',
   EEG_CALENDLY_URL: 'https://calendly.com/action-brain-lab-gallaudet/spatial-cognition-eeg-only',
-  SUPPORT_EMAIL: 'action.brain.lab@gallaudet.edu'
+  SUPPORT_EMAIL: 'action.brain.lab@gallaudet.edu',
+  // Base URL of server.js (return links); leave blank to record external tasks as self-reported
+  STUDY_SERVER_URL: '',
+  // Upload backends to try for recordings, in order: 'firebase', 'cloudinary', 'drive' (Apps Script
+  // upload_video, short clips only) or 'local' (server.js /uploads). See uploadBackends.js.
+  UPLOAD_BACKENDS: ['firebase', 'cloudinary'],
+  // In-lab sessions with no internet: send events, state and recordings to server.js
+  // (STUDY_SERVER_URL) instead, then run `npm run sync` once back online
+  OFFLINE_LAB: false,
+  // Sent as X-Lab-Key with offline lab events and recordings; the same as LOCAL_LAB_KEY on server.js
+  LOCAL_LAB_KEY: '',
+  // Checks on each clip before upload (see recordingQuality.js); presenceCheck looks
+  // for a face or hands in sampled frames
+  RECORDING_QUALITY: { minDurationSec: 2, minBrightness: 40, minAudioRmsDb: -50, presenceCheck: false },
+  // Image-description recorder: 3-2-1 countdown, then an automatic stop at maxDurationSec
+  RECORDING: { countdownSec: 3, maxDurationSec: 90 },
+  // Pre-flight checks before the task list (see preflight.js): per-check timeout and
+  // the window size below which the screen check warns
+  PREFLIGHT: { timeoutMs: 8000, minWidth: 1024, minHeight: 600 },
+  // Input telemetry: one summary per window; rawTraces also sends sampled pointer traces.
+  // keyMode: 'category' | 'embed-full' | 'off' (see inputTelemetry.js; typed text is never logged)
+  INPUT_TELEMETRY: { windowMs: 10000, sampleMs: 100, rawTraces: false, keyMode: 'category' },
+  // Inactivity defaults; tasks can override any of these with `inactivity` in tasks.json
+  INACTIVITY: { activeWindowSec: 5, warnAfterSec: 120, countdownSec: 60 }
 };
 
 window.CODE_REGEX = /^[A-Z0-9]{8}$/;
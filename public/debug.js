@@ -41,89 +41,153 @@
     }
   }
 
-  // --- Main debug routine ---
-  async function debugFirebase() {
-    console.log('🔧 Firebase debug starting…');
-
-    // 0) Basic presence checks
-    if (!window.firebase) {
-      console.error('❌ window.firebase not found. Make sure compat SDK scripts are included before debug.js.');
-      alert('Firebase SDK not loaded — check script tags.');
-      return;
-    }
-
-    // Firestore (compat) and Storage (compat) handles
-    const db = window.db || (firebase.firestore ? firebase.firestore() : null);
-    const storage = window.storage || (firebase.storage ? firebase.storage() : null);
-
-    if (!db) {
-      console.error('❌ Firestore not available (window.db or firebase.firestore()).');
-      alert('Firestore not available — check your Firebase initialization.');
-      return;
-    }
-    if (!storage) {
-      console.error('❌ Storage not available (window.storage or firebase.storage()).');
-      alert('Firebase Storage not available — check your Firebase initialization.');
-      return;
-    }
+  // --- Checks shared by debugFirebase() and the diagnostics page (diagnostics.js) ---
+  // Each resolves to { verdict: 'pass' | 'warn' | 'fail', detail, ...measurements }
+  // instead of alerting, so the page can show and store them.
+  const REPORTS = 'diagnostics';
+
+  // Same candidates as pickMime() in main.js
+  const RECORDER_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+    'video/mp4;codecs=avc1,mp4a',
+    'video/mp4',
+    'audio/webm;codecs=opus',
+    'audio/webm',
+    'audio/mp4;codecs=mp4a.40.2',
+    'audio/mp4'
+  ];
+
+  const errorText = (err) => (err && (err.code || err.message)) || String(err);
+
+  function firebaseHandles() {
+    if (!window.firebase) return {};
+    return {
+      db: window.db || (firebase.firestore ? firebase.firestore() : null),
+      storage: window.storage || (firebase.storage ? firebase.storage() : null)
+    };
+  }
 
-    // 1) Firestore write/read test
-    console.log('🗄️  Firestore: write/read test…');
-    const runId = 'run_' + Date.now();
-    const docRef = db.collection('debug_runs').doc(runId);
+  /** Create diagnostics/{reportId} and read it back. */
+  async function firestoreRoundTrip(reportId) {
+    const { db } = firebaseHandles();
+    if (!db) return { verdict: 'fail', detail: 'Firestore is not available on this page' };
+    const started = performance.now();
     try {
-      await docRef.set({
-        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      const uid = await window.authReady;
+      if (!uid) throw new Error('Not signed in (anonymous auth failed)');
+      const ref = db.collection(REPORTS).doc(reportId);
+      await ref.set({
+        reportId,
+        uid,
+        status: 'running',
         userAgent: navigator.userAgent,
-        page: location.href
-      }, { merge: true });
-
-      const snap = await docRef.get();
-      if (!snap.exists) throw new Error('Wrote doc but could not read it back.');
-      console.log('✅ Firestore OK:', { id: snap.id, data: snap.data() });
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      const snap = await ref.get({ source: 'server' });
+      if (!snap.exists) throw new Error('Wrote the report but could not read it back');
+      const ms = Math.round(performance.now() - started);
+      return { verdict: 'pass', detail: `Wrote and read back in ${ms} ms`, ms };
     } catch (err) {
-      console.error('❌ Firestore test failed:', err);
-      alert('Firestore test failed: ' + (err && err.message || err));
-      return;
+      return { verdict: 'fail', detail: `Firestore round trip failed: ${errorText(err)}` };
     }
+  }
 
-    // 2) Storage upload test (with progress + download URL)
-    console.log('📦 Storage: upload test…');
+  /** Upload makeTinyTestVideo() to debug/{uid}/{runId}.{ext}. onProgress gets 0-100. */
+  async function storageUpload(runId, onProgress = () => {}) {
+    const { storage } = firebaseHandles();
+    if (!storage) return { verdict: 'fail', detail: 'Firebase Storage is not available on this page' };
+    const started = performance.now();
     try {
+      const uid = await window.authReady;
+      if (!uid) throw new Error('Not signed in (anonymous auth failed)');
       const blob = await makeTinyTestVideo();
-      const path = `debug/${runId}.webm`;
-      const ref = storage.ref().child(path);
-
-      const task = ref.put(blob, {
-        contentType: blob.type || 'video/webm',
+      const path = window.storagePaths.debugPath(uid, runId, blob);
+      const task = storage.ref().child(path).put(blob, {
+        contentType: blob.type,
         customMetadata: { session_code: 'DEBUG', generated: new Date().toISOString() }
       });
-
       await new Promise((resolve, reject) => {
         task.on('state_changed',
-          (snap) => {
-            const pct = Math.round((snap.bytesTransferred / snap.totalBytes) * 100);
-            console.log(`   ↳ uploading… ${pct}%`);
-          },
+          (snap) => onProgress(Math.round((snap.bytesTransferred / snap.totalBytes) * 100)),
           reject,
           resolve
         );
       });
-
-      const url = await ref.getDownloadURL();
-      console.log('✅ Storage OK. File path:', path);
-      console.log('   ↳ Download URL:', url);
-      alert('Firebase Storage is working!\n' + url);
+      const ms = Math.round(performance.now() - started);
+      return { verdict: 'pass', detail: `Uploaded ${blob.size} bytes in ${ms} ms`, path, bytes: blob.size, ms };
     } catch (err) {
-      console.error('❌ Storage test failed:', err);
-      alert('Storage test failed: ' + (err && err.message || err));
+      return { verdict: 'fail', detail: `Storage upload failed: ${errorText(err)}` };
+    }
+  }
+
+  /** Which recording formats MediaRecorder supports here. */
+  function recorderMimes() {
+    if (typeof MediaRecorder === 'undefined') {
+      return { verdict: 'fail', detail: 'MediaRecorder is not supported; only file upload will work', supported: [] };
+    }
+    const canCheck = typeof MediaRecorder.isTypeSupported === 'function';
+    const supported = canCheck ? RECORDER_TYPES.filter(t => MediaRecorder.isTypeSupported(t)) : [];
+    if (supported.some(t => t.startsWith('video/'))) {
+      return { verdict: 'pass', detail: supported.join(', '), supported };
+    }
+    return {
+      verdict: 'warn',
+      detail: supported.length ? `Audio only: ${supported.join(', ')}` : 'No known format reported; the browser picks its own',
+      supported
+    };
+  }
+
+  /** Pending events and any the queue (eventQueue.js) gave up on in this browser. */
+  async function eventDelivery() {
+    const queue = window.eventQueue;
+    if (!queue) return { verdict: 'warn', detail: 'The event queue is not loaded on this page', pending: 0, dropped: [] };
+    const pending = await queue.pendingCount();
+    const dropped = queue.dropped();
+    if (!dropped.length) {
+      return { verdict: 'pass', detail: pending ? `${pending} event(s) waiting to send` : 'Nothing waiting, nothing dropped', pending, dropped };
+    }
+    const last = dropped[dropped.length - 1];
+    return {
+      verdict: 'warn',
+      detail: `${dropped.length} event(s) could not be saved; last: ${last.action} (${last.error}) at ${last.droppedAt}`,
+      pending,
+      dropped
+    };
+  }
+
+  // --- Console routine (window.debugFirebase()) ---
+  async function debugFirebase() {
+    console.log('🔧 Firebase debug starting…');
+    const runId = 'run_' + Date.now();
+
+    console.log('🗄️  Firestore: write/read test…');
+    const firestore = await firestoreRoundTrip(runId);
+    console.log(firestore.verdict === 'pass' ? '✅' : '❌', firestore.detail);
+    if (firestore.verdict !== 'pass') {
+      alert(firestore.detail);
       return;
     }
 
+    console.log('📦 Storage: upload test…');
+    const storage = await storageUpload(runId, pct => console.log(`   ↳ uploading… ${pct}%`));
+    console.log(storage.verdict === 'pass' ? '✅' : '❌', storage.detail, storage.path || '');
+    if (storage.verdict !== 'pass') {
+      alert(storage.detail);
+      return;
+    }
+
+    const events = await eventDelivery();
+    console.log(events.verdict === 'pass' ? '✅' : '⚠️', events.detail);
+    if (events.dropped.length) console.table(events.dropped);
+
     console.log('🎉 All Firebase checks passed.');
+    alert('Firebase Firestore and Storage are working. For a full report, open /diagnostics.');
   }
 
   // Expose helpers for easy manual use
   window.debugFirebase = debugFirebase;
   window.makeTinyTestVideo = makeTinyTestVideo;
+  window.studyDebug = { firestoreRoundTrip, storageUpload, recorderMimes, eventDelivery, makeTinyTestVideo };
 })();
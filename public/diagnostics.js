@@ -0,0 +1,150 @@
+// public/diagnostics.js
+(() => {
+  // The /diagnostics page (diagnostics.html). It runs the debug.js checks and
+  // the embed check from preflight.js, shows each result, and saves the report
+  // to diagnostics/{reportId} in Firestore. The participant sends the report ID
+  // to support. openSupportEmail() in main.js picks up the last ID from
+  // localStorage. If Firestore can't be reached, the full report can be copied
+  // into the email instead.
+  const REPORT_KEY = 'diagnostic_report';
+  const ICONS = { pass: '✅', warn: '⚠️', fail: '❌', pending: '⏳' };
+
+  let report = null;
+
+  function reportId() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return 'DX-' + Array.from(bytes, b => chars[b % chars.length]).join('');
+  }
+
+  function environment() {
+    return {
+      userAgent: navigator.userAgent,
+      language: navigator.language,
+      online: navigator.onLine,
+      secureContext: window.isSecureContext,
+      screen: `${window.screen.width}x${window.screen.height}`,
+      viewport: `${window.innerWidth}x${window.innerHeight}`,
+      pixelRatio: window.devicePixelRatio,
+      touchPoints: navigator.maxTouchPoints || 0
+    };
+  }
+
+  function render({ id, label, verdict, detail }) {
+    const list = document.getElementById('diag-list');
+    let li = Array.from(list.children).find(el => el.dataset.check === id);
+    if (!li) {
+      li = document.createElement('li');
+      li.dataset.check = id;
+      list.appendChild(li);
+    }
+    li.className = `preflight-item ${verdict || 'pending'}`;
+    li.innerHTML = `
+      <span class="preflight-icon" aria-hidden="true">${ICONS[verdict || 'pending']}</span>
+      <div>
+        <div class="preflight-label"></div>
+        <div class="preflight-detail"></div>
+      </div>
+    `;
+    li.querySelector('.preflight-label').textContent = label;
+    li.querySelector('.preflight-detail').textContent = detail || 'Checking…';
+  }
+
+  async function embedTasks() {
+    try {
+      const res = await fetch('tasks.json', { cache: 'no-cache' });
+      const manifest = await res.json();
+      return Object.keys(manifest.tasks)
+        .filter(code => manifest.tasks[code].enabled !== false && manifest.tasks[code].type === 'embed')
+        .map(code => ({ code, name: manifest.tasks[code].name, url: manifest.tasks[code].embedUrl }));
+    } catch (err) {
+      console.warn('Could not load tasks.json', err);
+      return [];
+    }
+  }
+
+  // Runs one check, shows it, and adds it to the report
+  async function step(id, label, fn) {
+    render({ id, label });
+    const { verdict, detail, ...measurements } = await fn();
+    report.checks[id] = { label, verdict, detail, ...measurements };
+    render({ id, label, verdict, detail });
+  }
+
+  async function saveReport() {
+    if (report.checks.firestore.verdict !== 'pass') return false;
+    try {
+      await window.db.collection('diagnostics').doc(report.reportId).update({
+        status: 'complete',
+        checks: report.checks,
+        environment: report.environment,
+        completedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      return true;
+    } catch (err) {
+      console.warn('Could not save the diagnostic report', err);
+      return false;
+    }
+  }
+
+  async function runDiagnostics() {
+    const runBtn = document.getElementById('diag-run-btn');
+    const result = document.getElementById('diag-result');
+    runBtn.disabled = true;
+    result.hidden = true;
+    document.getElementById('diag-list').innerHTML = '';
+    report = { reportId: reportId(), ranAt: new Date().toISOString(), environment: environment(), checks: {} };
+
+    const debug = window.studyDebug;
+    await step('firestore', 'Saving progress (Firestore)', () => debug.firestoreRoundTrip(report.reportId));
+    await step('storage', 'Uploading recordings (Storage)', () => debug.storageUpload(report.reportId));
+    await step('recorder', 'Recording formats', async () => debug.recorderMimes());
+    await step('events', 'Saved study events', () => debug.eventDelivery());
+    const embeds = await embedTasks();
+    await Promise.all(embeds.map(embed => step(`embed:${embed.code}`, `Loads ${embed.name}`, () => window.preflight.recheck(`embed:${embed.code}`, { embeds, thresholds: window.CONFIG.PREFLIGHT }))));
+
+    const saved = await saveReport();
+    localStorage.setItem(REPORT_KEY, JSON.stringify({ id: report.reportId, saved, createdAt: report.ranAt }));
+    document.getElementById('diag-report-id').textContent = report.reportId;
+    document.getElementById('diag-saved-note').textContent = saved
+      ? 'Send this ID to support. It lets us see the results of this check.'
+      : "We couldn't save the report online. Please use Copy Full Report and paste it into your email.";
+    result.hidden = false;
+    runBtn.disabled = false;
+    runBtn.textContent = 'Run Again';
+  }
+
+  async function copyText(text, btn) {
+    try {
+      await navigator.clipboard.writeText(text);
+      const original = btn.textContent;
+      btn.textContent = '✓ Copied';
+      setTimeout(() => { btn.textContent = original; }, 2000);
+    } catch (err) {
+      window.prompt('Copy this:', text);
+    }
+  }
+
+  function emailSupport() {
+    const subject = encodeURIComponent(`Technical Support Request - Diagnostic report ${report.reportId}`);
+    const failed = Object.values(report.checks).filter(c => c.verdict !== 'pass').map(c => `- ${c.label}: ${c.detail}`);
+    const body = encodeURIComponent(`Hi Action Brain Lab,
+
+I need technical support with the spatial cognition study.
+
+Diagnostic report ID: ${report.reportId}
+${failed.length ? `Problems found:\n${failed.join('\n')}\n` : ''}
+Issue description:
+What I've tried:
+
+Thank you!`);
+    window.location.href = `mailto:${window.CONFIG.SUPPORT_EMAIL}?subject=${subject}&body=${body}`;
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('diag-run-btn').addEventListener('click', runDiagnostics);
+    document.getElementById('diag-copy-id-btn').addEventListener('click', (e) => copyText(report.reportId, e.currentTarget));
+    document.getElementById('diag-copy-report-btn').addEventListener('click', (e) => copyText(JSON.stringify(report, null, 2), e.currentTarget));
+    document.getElementById('diag-email-btn').addEventListener('click', emailSupport);
+  });
+})();
@@ -0,0 +1,230 @@
+// public/eventQueue.js
+(() => {
+  // Durable outbox for study events. Every event is written to IndexedDB
+  // first, stamped with a clientEventId (UUID) and a per-session seq, then
+  // delivered by the transport (Firestore, or Sheets when that's all we have,
+  // or server.js on the lab network for offline lab sessions).
+  // Failures back off and retry; everything still queued is retried when the
+  // browser comes back online or the page is reopened. Receivers de-duplicate
+  // on clientEventId, so a replay after a lost acknowledgement is harmless.
+  const STORE = 'events';
+  const BASE_BACKOFF_MS = 2e3;
+  const MAX_BACKOFF_MS = 5 * 60e3;
+  const SEND_TIMEOUT_MS = 15e3;
+  // Errors a retry can't fix
+  const PERMANENT_ERRORS = ['invalid-argument'];
+  // Rules also deny writes made before sign-in has settled (authReady), so these
+  // get a few tries before the event is given up on
+  const AUTH_ERRORS = ['permission-denied'];
+  const AUTH_ATTEMPTS = 3;
+  // Events given up on, shown on the diagnostics page
+  const DROPPED_KEY = 'dropped_events';
+  const DROPPED_MAX = 50;
+  // Short history of what this browser logged, attached to support tickets.
+  // Only these fields are kept, so no email addresses or free text linger.
+  const RECENT_KEY = 'recent_events';
+  const RECENT_MAX = 50;
+  const RECENT_FIELDS = ['action', 'task', 'imageNumber', 'reason', 'status', 'seq', 'timestamp'];
+  const RECENT_SKIP = ['trial_batch']; // one per trial; would crowd out everything else
+
+  const memoryStore = new Map(); // used when IndexedDB is unavailable
+  let transport = null;
+  let transportIsLocal = false; // reachable without internet; ignore navigator.onLine
+  let flushing = false;
+  let flushAgain = false;
+  let retryTimer = null;
+
+  function uuid() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  function nextSeq(sessionCode) {
+    const key = `event_seq_${sessionCode || 'none'}`;
+    const seq = (parseInt(localStorage.getItem(key), 10) || 0) + 1;
+    localStorage.setItem(key, String(seq));
+    return seq;
+  }
+
+  async function store(method, arg) {
+    try {
+      if (method === 'getAll') return await window.studyIdb.getAll(STORE);
+      if (method === 'put') return await window.studyIdb.put(STORE, arg);
+      return await window.studyIdb.delete(STORE, arg);
+    } catch (e) {
+      if (method === 'getAll') return Array.from(memoryStore.values());
+      if (method === 'put') return memoryStore.set(arg.clientEventId, arg);
+      return memoryStore.delete(arg);
+    }
+  }
+
+  function withTimeout(promise, ms) {
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Send timed out')), ms))
+    ]);
+  }
+
+  // A send that timed out or lost its connection may still have been written
+  // (entry.maybeDelivered). The create-only rules then reject the replay with
+  // permission-denied; when the transport says it was the event's own write that
+  // was refused (err.eventWriteRejected), the event is already there.
+  function alreadyDelivered(entry, err) {
+    const code = err && err.code;
+    if (code === 'already-exists') return true;
+    return AUTH_ERRORS.includes(code) && !!err.eventWriteRejected && !!entry.maybeDelivered;
+  }
+
+  function backoff(attempts) {
+    const ms = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+    return ms / 2 + Math.random() * ms / 2;
+  }
+
+  function scheduleRetry(entries) {
+    clearTimeout(retryTimer);
+    if (!entries.length) return;
+    const next = Math.min(...entries.map(e => e.nextAttemptAt));
+    retryTimer = setTimeout(flush, Math.max(0, next - Date.now()));
+  }
+
+  async function flush() {
+    if (!transport) return;
+    if (flushing) {
+      flushAgain = true;
+      return;
+    }
+    flushing = true;
+    flushAgain = false;
+    try {
+      const entries = (await store('getAll')).sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+      const remaining = [];
+      for (const entry of entries) {
+        if ((navigator.onLine === false && !transportIsLocal) || entry.nextAttemptAt > Date.now()) {
+          remaining.push(entry);
+          continue;
+        }
+        try {
+          await withTimeout(transport(entry.payload), SEND_TIMEOUT_MS);
+          await store('delete', entry.clientEventId);
+        } catch (err) {
+          const code = err && err.code;
+          if (alreadyDelivered(entry, err)) {
+            await store('delete', entry.clientEventId);
+            continue;
+          }
+          if (PERMANENT_ERRORS.includes(code) || (AUTH_ERRORS.includes(code) && entry.attempts + 1 >= AUTH_ATTEMPTS)) {
+            console.error('Dropping event the server rejected:', entry.payload.action, err);
+            recordDrop(entry, err);
+            await store('delete', entry.clientEventId);
+            continue;
+          }
+          if (!AUTH_ERRORS.includes(code)) entry.maybeDelivered = true;
+          entry.attempts += 1;
+          entry.nextAttemptAt = Date.now() + backoff(entry.attempts);
+          entry.lastError = String(err && err.message || err);
+          await store('put', entry);
+          remaining.push(entry);
+        }
+      }
+      scheduleRetry(remaining);
+    } finally {
+      flushing = false;
+    }
+    if (flushAgain) flush();
+  }
+
+  function recordDrop(entry, err) {
+    try {
+      const dropped = JSON.parse(localStorage.getItem(DROPPED_KEY) || '[]');
+      dropped.push({
+        action: entry.payload.action,
+        task: entry.payload.task,
+        clientEventId: entry.clientEventId,
+        error: String(err && (err.code || err.message) || err).slice(0, 200),
+        attempts: entry.attempts + 1,
+        droppedAt: new Date().toISOString()
+      });
+      localStorage.setItem(DROPPED_KEY, JSON.stringify(dropped.slice(-DROPPED_MAX)));
+    } catch (e) {
+      // Nothing more we can do; the console error above still has it
+    }
+  }
+
+  /** Events this browser gave up on, oldest first. */
+  function dropped() {
+    try {
+      return JSON.parse(localStorage.getItem(DROPPED_KEY) || '[]');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function remember(payload) {
+    if (RECENT_SKIP.includes(payload.action)) return;
+    try {
+      const recent = JSON.parse(localStorage.getItem(RECENT_KEY) || '[]');
+      const summary = {};
+      RECENT_FIELDS.forEach(key => {
+        if (payload[key] != null) summary[key] = payload[key];
+      });
+      if (payload.error) summary.error = String(payload.error).slice(0, 200);
+      recent.push(summary);
+      localStorage.setItem(RECENT_KEY, JSON.stringify(recent.slice(-RECENT_MAX)));
+    } catch (e) {
+      // Full or blocked localStorage only costs us the history
+    }
+  }
+
+  /** The last n events logged in this browser, oldest first. */
+  function recent(n = RECENT_MAX) {
+    try {
+      return JSON.parse(localStorage.getItem(RECENT_KEY) || '[]').slice(-n);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  async function enqueue(payload) {
+    const clientEventId = uuid();
+    const entry = {
+      clientEventId,
+      payload: { ...payload, clientEventId, seq: nextSeq(payload && payload.sessionCode) },
+      enqueuedAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0
+    };
+    await store('put', entry);
+    remember(entry.payload);
+    flush();
+    return clientEventId;
+  }
+
+  // Connectivity is back: retry everything now instead of waiting out the backoff
+  async function retryNow() {
+    const entries = await store('getAll');
+    await Promise.all(entries.map(entry => store('put', { ...entry, nextAttemptAt: 0 })));
+    flush();
+  }
+
+  window.addEventListener('online', retryNow);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') flush();
+  });
+
+  window.eventQueue = {
+    enqueue,
+    flush,
+    setTransport(fn, { local = false } = {}) {
+      transport = fn;
+      transportIsLocal = local;
+      flush();
+    },
+    recent,
+    dropped,
+    hasTransport: () => !!transport,
+    pendingCount: async () => (await store('getAll')).length
+  };
+})();
@@ -0,0 +1,60 @@
+// public/idb.js
+(() => {
+  // Small promise wrapper around one IndexedDB database shared by the study page.
+  // Add a store here (and bump DB_VERSION) when a new feature needs one.
+  const DB_NAME = 'study';
+  const DB_VERSION = 2;
+  const STORES = {
+    events: 'clientEventId',
+    uploads: 'id'
+  };
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error('IndexedDB not available'));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.keys(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: STORES[name] });
+        });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer version of the page (in another tab) upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+    // Private browsing can refuse IndexedDB; let callers retry or fall back
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  async function run(storeName, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  window.studyIdb = {
+    open,
+    get: (store, key) => run(store, 'readonly', s => s.get(key)),
+    getAll: (store) => run(store, 'readonly', s => s.getAll()),
+    put: (store, value) => run(store, 'readwrite', s => s.put(value)),
+    delete: (store, key) => run(store, 'readwrite', s => s.delete(key))
+  };
+})();
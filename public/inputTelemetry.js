@@ -0,0 +1,171 @@
+// public/inputTelemetry.js
+(() => {
+  // Aggregates pointer/keyboard input into fixed windows and sends one
+  // `input_summary` event per window that saw any input, instead of one
+  // write per mousemove. Pointer moves are sampled (at most one per
+  // sampleMs) before path length is measured. Raw sampled traces are only
+  // sent, as `input_trace`, when the study turns rawTraces on.
+  //
+  // Keys are never logged verbatim from the study shell. keyMode:
+  //   'category'    count keys by category (letter, digit, arrow, control, symbol)
+  //   'embed-full'  as 'category', and also count keys the embedded task
+  //                 forwards (task_keys, see studyEmbed.js); traces keep those
+  //                 keys verbatim, but only while the task's iframe has focus
+  //   'off'         ignore the keyboard entirely
+  // Anything typed into an input/textarea/select/contenteditable only ever
+  // counts as 'field'.
+  const MAX_TRACE_POINTS = 600;
+  const CONTROL_KEYS = /^(Enter|Tab|Escape|Backspace|Delete|Shift|Control|Alt|Meta|CapsLock|Home|End|PageUp|PageDown|Insert|F\d{1,2}| )$/;
+
+  function isEditable(target) {
+    if (!target || !target.tagName) return false;
+    return /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable;
+  }
+
+  function keyCategory(key, target) {
+    if (isEditable(target)) return 'field';
+    key = key || '';
+    if (key.startsWith('Arrow')) return 'arrow';
+    if (CONTROL_KEYS.test(key)) return 'control';
+    if (/^\d$/.test(key)) return 'digit';
+    if (/^\p{L}$/u.test(key)) return 'letter';
+    return 'symbol';
+  }
+
+  let opts = null;
+  let win = null;
+  let flushTimer = null;
+
+  function emptyWindow() {
+    return {
+      start: Date.now(),
+      moves: 0,
+      pathPx: 0,
+      clicks: 0,
+      touches: 0,
+      keys: 0,
+      keyCategories: {},
+      firstInput: null,
+      lastInput: null,
+      maxGapMs: 0,
+      lastPoint: null,
+      lastSampleAt: 0,
+      trace: []
+    };
+  }
+
+  function notePoint(type, x, y, now) {
+    if (win.lastPoint) win.pathPx += Math.hypot(x - win.lastPoint.x, y - win.lastPoint.y);
+    win.lastPoint = { x, y };
+    win.lastSampleAt = now;
+    if (opts.rawTraces && win.trace.length < MAX_TRACE_POINTS) {
+      win.trace.push([now - win.start, type, Math.round(x), Math.round(y)]);
+    }
+  }
+
+  function noteInput(now) {
+    if (win.lastInput) win.maxGapMs = Math.max(win.maxGapMs, now - win.lastInput);
+    if (!win.firstInput) win.firstInput = now;
+    win.lastInput = now;
+  }
+
+  function noteKey(category, traced, now) {
+    win.keys++;
+    win.keyCategories[category] = (win.keyCategories[category] || 0) + 1;
+    if (opts.rawTraces && win.trace.length < MAX_TRACE_POINTS) {
+      win.trace.push([now - win.start, 'k', traced]);
+    }
+  }
+
+  function record(type, e) {
+    if (!win || (type === 'keydown' && opts.keyMode === 'off')) return;
+    const now = Date.now();
+    noteInput(now);
+
+    const point = e.touches && e.touches[0] ? e.touches[0] : e;
+    if (type === 'mousemove') {
+      if (now - win.lastSampleAt < opts.sampleMs) return;
+      win.moves++;
+      notePoint('m', point.clientX, point.clientY, now);
+    } else if (type === 'mousedown') {
+      win.clicks++;
+      notePoint('d', point.clientX, point.clientY, now);
+    } else if (type === 'touchstart') {
+      win.touches++;
+      notePoint('t', point.clientX, point.clientY, now);
+    } else if (type === 'keydown') {
+      const category = keyCategory(e.key, e.target);
+      noteKey(category, category, now);
+    }
+  }
+
+  // Keys the embedded task forwarded (task_keys). The task page leaves out
+  // anything typed into its own form fields.
+  function recordEmbedKeys(keys) {
+    if (!win || opts.keyMode !== 'embed-full' || !opts.embedFocused()) return;
+    const now = Date.now();
+    keys.filter(key => typeof key === 'string' && key.length <= 20).forEach(key => {
+      noteInput(now);
+      noteKey(keyCategory(key, null), key, now);
+    });
+  }
+
+  function flush() {
+    if (!win) return;
+    const done = win;
+    win = emptyWindow();
+    if (!done.firstInput) return;
+    const context = opts.getContext();
+    if (!context || !context.sessionCode) return;
+
+    const end = Date.now();
+    opts.send({
+      action: 'input_summary',
+      ...context,
+      windowStart: new Date(done.start).toISOString(),
+      windowMs: end - done.start,
+      moves: done.moves,
+      pathPx: Math.round(done.pathPx),
+      clicks: done.clicks,
+      touches: done.touches,
+      keys: done.keys,
+      keyCategories: done.keyCategories,
+      // longest stretch without input, including the lead-in and tail of the window
+      maxIdleMs: Math.max(done.maxGapMs, done.firstInput - done.start, end - done.lastInput),
+      timestamp: new Date(end).toISOString()
+    });
+    if (opts.rawTraces && done.trace.length) {
+      opts.send({
+        action: 'input_trace',
+        ...context,
+        windowStart: new Date(done.start).toISOString(),
+        points: done.trace,
+        timestamp: new Date(end).toISOString()
+      });
+    }
+  }
+
+  function onVisibility() {
+    if (document.visibilityState === 'hidden') flush();
+  }
+
+  function start(options) {
+    stop();
+    opts = { windowMs: 10e3, sampleMs: 100, rawTraces: false, keyMode: 'category', embedFocused: () => false, ...options };
+    win = emptyWindow();
+    flushTimer = setInterval(flush, opts.windowMs);
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', flush);
+  }
+
+  function stop() {
+    if (!win) return;
+    flush();
+    clearInterval(flushTimer);
+    document.removeEventListener('visibilitychange', onVisibility);
+    window.removeEventListener('pagehide', flush);
+    win = null;
+  }
+
+  window.inputTelemetry = { start, stop, record, recordEmbedKeys, flush };
+})();
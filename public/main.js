@@ -5,35 +5,77 @@
     IMAGE_2: "images/description2.jpg",
     ASLCT_ACCESS_CODE: "DVCWHNABJ",
     EEG_CALENDLY_URL: "https://calendly.com/action-brain-lab-gallaudet/spatial-cognition-eeg-only",
-    SUPPORT_EMAIL: "action.brain.lab@gallaudet.edu"
+    SUPPORT_EMAIL: "action.brain.lab@gallaudet.edu",
+    // Base URL of server.js (return links); leave blank to record external tasks as self-reported
+    STUDY_SERVER_URL: "",
+    // Upload backends to try for recordings, in order: "firebase", "cloudinary", "drive" (Apps Script
+    // upload_video, short clips only) or "local" (server.js /uploads). See uploadBackends.js.
+    UPLOAD_BACKENDS: ["firebase", "cloudinary"],
+    // In-lab sessions with no internet: send events, state and recordings to server.js
+    // (STUDY_SERVER_URL) instead, then run `npm run sync` once back online
+    OFFLINE_LAB: false,
+    // Sent as X-Lab-Key with offline lab events and recordings; the same as LOCAL_LAB_KEY on server.js
+    LOCAL_LAB_KEY: "",
+    // Checks on each clip before upload (see recordingQuality.js); presenceCheck looks
+    // for a face or hands in sampled frames
+    RECORDING_QUALITY: { minDurationSec: 2, minBrightness: 40, minAudioRmsDb: -50, presenceCheck: false },
+    // Image-description recorder: 3-2-1 countdown, then an automatic stop at maxDurationSec
+    RECORDING: { countdownSec: 3, maxDurationSec: 90 },
+    // Pre-flight checks before the task list (see preflight.js): per-check timeout and
+    // the window size below which the screen check warns
+    PREFLIGHT: { timeoutMs: 8e3, minWidth: 1024, minHeight: 600 },
+    // Input telemetry: one summary per window; rawTraces also sends sampled pointer traces.
+    // keyMode: 'category' | 'embed-full' | 'off' (see inputTelemetry.js; typed text is never logged)
+    INPUT_TELEMETRY: { windowMs: 1e4, sampleMs: 100, rawTraces: false, keyMode: "category" },
+    // Inactivity defaults; tasks can override any of these with `inactivity` in tasks.json
+    INACTIVITY: { activeWindowSec: 5, warnAfterSec: 120, countdownSec: 60 }
     // Removed SHEETS_URL and Cloudinary config
   };
   var CODE_REGEX = /^[A-Z0-9]{8}$/;
 
   // src/tasks.js
-  var TASKS = {
-    "RC": { name: "Reading Comprehension Task", description: "Read passages and answer questions", type: "embed", embedUrl: "https://melodyfschwenk.github.io/readingcomp/", canSkip: true, estMinutes: 15, requirements: "None", skilled: true },
-    "MRT": { name: "Mental Rotation Task", description: "Decide if two images are the same or not", type: "embed", embedUrl: "https://melodyfschwenk.github.io/mrt/", canSkip: true, estMinutes: 6, requirements: "Keyboard recommended", skilled: true },
-    "ASLCT": { name: "ASL Comprehension Test", description: "For ASL users only", url: "https://vl2portal.gallaudet.edu/assessment/", type: "external", canSkip: true, estMinutes: 15, requirements: "ASL users; stable connection", skilled: true },
-    "VCN": { name: "Virtual Campus Navigation", description: "Virtual SILC Test of Navigation (SILCton)", url: "http://www.virtualsilcton.com/study/753798747", type: "external", canSkip: true, estMinutes: 20, requirements: "Desktop/laptop; keyboard (WASD) & mouse", skilled: true },
-    "SN": { name: "Spatial Navigation", description: "Choose the first step from the player to the stop sign (embedded below)", type: "embed", embedUrl: "https://melodyfschwenk.github.io/spatial-navigation-web/", canSkip: true, estMinutes: 8, requirements: "Arrow keys", skilled: true },
-    "ID": { name: "Image Description", description: "Record two short videos describing images (or upload if recording is unavailable).", type: "recording", canSkip: true, estMinutes: 2, requirements: "Camera & microphone or video upload" },
-    "DEMO": { name: "Demographics Survey", description: "Background information & payment", url: "https://gallaudet.iad1.qualtrics.com/jfe/form/SV_8GJcoF3hkHoP8BU", type: "external", estMinutes: 6, requirements: "None" }
-  };
+  var TASKS = {};
+  var SEQUENCE_CONFIG = {};
+  var MANIFEST_CACHE_KEY = "task_manifest";
+  function applyTaskManifest(manifest) {
+    if (!manifest || !manifest.tasks) throw new Error("Task manifest has no tasks");
+    Object.keys(TASKS).forEach((code) => {
+      delete TASKS[code];
+    });
+    Object.keys(manifest.tasks).forEach((code) => {
+      if (manifest.tasks[code].enabled !== false) TASKS[code] = manifest.tasks[code];
+    });
+    Object.keys(SEQUENCE_CONFIG).forEach((key) => {
+      delete SEQUENCE_CONFIG[key];
+    });
+    Object.assign(SEQUENCE_CONFIG, { scheme: "random", pinFirst: [], pinLast: ["DEMO"], blocks: [] }, manifest.sequence);
+  }
+  async function loadTaskManifest(url = "tasks.json") {
+    let manifest = null;
+    try {
+      const res = await fetch(url, { cache: "no-cache" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      manifest = await res.json();
+      localStorage.setItem(MANIFEST_CACHE_KEY, JSON.stringify(manifest));
+    } catch (e) {
+      console.warn("Could not fetch task manifest, trying cached copy", e);
+      const cached = localStorage.getItem(MANIFEST_CACHE_KEY);
+      if (!cached) throw e;
+      manifest = JSON.parse(cached);
+    }
+    applyTaskManifest(manifest);
+    return manifest;
+  }
   function getStandardTaskName(taskCode) {
-    const mapping = {
-      "RC": "Reading Comprehension Task",
-      "MRT": "Mental Rotation Task",
-      "ASLCT": "ASL Comprehension Test",
-      "VCN": "Virtual Campus Navigation",
-      "SN": "Spatial Navigation",
-      "ID": "Image Description",
-      "DEMO": "Demographics Survey"
-    };
-    return mapping[taskCode] || (TASKS[taskCode] ? TASKS[taskCode].name : void 0) || taskCode;
+    return (TASKS[taskCode] ? TASKS[taskCode].name : void 0) || taskCode;
+  }
+  function taskApplies(task, facts) {
+    const rules = task && task.includeIf || {};
+    return Object.keys(rules).every((key) => !facts[key] || [].concat(rules[key]).includes(facts[key]));
+  }
+  function eligibleTaskCodes(facts) {
+    return Object.keys(TASKS).filter((code) => taskApplies(TASKS[code], facts));
   }
-  var DESKTOP_TASKS = ["RC", "MRT", "ASLCT", "VCN", "SN", "ID"];
-  var MOBILE_TASKS = ["RC", "MRT", "ASLCT", "SN", "ID"];
   function mulberry32(a) {
     return function() {
       a |= 0;
@@ -52,6 +94,65 @@
     }
     return a;
   }
+  function latinSquareRow(n, row) {
+    const base = [0];
+    for (let i = 1, lo = 1, hi = n - 1; i < n; i++) base.push(i % 2 ? lo++ : hi--);
+    const rows = n % 2 ? 2 * n : n;
+    const r = (row % rows + rows) % rows;
+    const shifted = base.map((v) => (v + r) % n);
+    return r >= n ? shifted.reverse() : shifted;
+  }
+  function latinSquareRowCount(n) {
+    return n % 2 ? 2 * n : n;
+  }
+  function nextAssignmentRow(counts, rows) {
+    let row = 0;
+    for (let r = 1; r < rows; r++) {
+      if ((counts[r] || 0) < (counts[row] || 0)) row = r;
+    }
+    return row;
+  }
+  function buildSequence(taskCodes, { seed, row = seed, config = SEQUENCE_CONFIG } = {}) {
+    const pinFirst = config.pinFirst || [];
+    const pinLast = config.pinLast || [];
+    const pool = (taskCodes || []).filter((code) => !pinFirst.includes(code) && !pinLast.includes(code));
+    let middle;
+    let condition;
+    if (config.scheme === "latin-square" && pool.length > 1) {
+      const rows = latinSquareRowCount(pool.length);
+      const r = (row % rows + rows) % rows;
+      middle = latinSquareRow(pool.length, r).map((i) => pool[i]);
+      condition = { scheme: "latin-square", row: r, rows, label: `latin-square row ${r + 1} of ${rows}` };
+    } else if (config.scheme === "blocks") {
+      const blocks = (config.blocks || []).map((block) => block.filter((code) => pool.includes(code)));
+      const leftover = pool.filter((code) => !blocks.some((block) => block.includes(code)));
+      if (leftover.length) blocks.push(leftover);
+      middle = [];
+      blocks.forEach((block, i) => {
+        middle.push(...shuffleWithSeed(block, seed + i));
+      });
+      condition = { scheme: "blocks", seed, blocks: blocks.length, label: `blocks (${blocks.map((b) => b.length).join("+")})` };
+    } else {
+      middle = shuffleWithSeed(pool, seed);
+      condition = { scheme: "random", seed, label: "random" };
+    }
+    const sequence = pinFirst.concat(middle, pinLast);
+    condition.order = sequence.join(",");
+    return { sequence, condition };
+  }
+  function chooseStimuli(set, { seed, row = seed } = {}) {
+    if (!set) return { setId: "", order: "fixed", items: [] };
+    const images = set.images || [];
+    const count = Math.min(set.count || images.length, images.length);
+    let ordered = images;
+    if (set.order === "random") ordered = shuffleWithSeed(images, seed);
+    else if (set.order === "counterbalanced" && images.length > 1) ordered = latinSquareRow(images.length, row).map((i) => images[i]);
+    return {
+      setId: set.id || "",
+      order: set.order || "fixed",
+      items: ordered.slice(0, count).map((img) => ({ id: img.id, src: img.src, alt: img.alt || "", instructions: img.instructions || "" }))
+    };
+  }
   function ensureDemographicsLast(sequence) {
     const filtered = (sequence || []).filter((code) => code !== "DEMO");
     filtered.push("DEMO");
@@ -65,56 +166,6 @@
   }
 
   // src/videoUpload.js
-  async function uploadToCloudinary(videoBlob, sessionCode, imageNumber) {
-    try {
-      console.log("Starting Cloudinary upload...");
-      console.log("Config check:", {
-        cloudName: CONFIG.CLOUDINARY_CLOUD_NAME,
-        uploadPreset: CONFIG.CLOUDINARY_UPLOAD_PRESET
-      });
-      if (!CONFIG.CLOUDINARY_CLOUD_NAME) {
-        throw new Error("Cloudinary cloud name not configured");
-      }
-      if (!CONFIG.CLOUDINARY_UPLOAD_PRESET) {
-        throw new Error("Cloudinary upload preset not configured");
-      }
-      const formData = new FormData();
-      formData.append("file", videoBlob);
-      formData.append("upload_preset", CONFIG.CLOUDINARY_UPLOAD_PRESET);
-      const timestamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-");
-      const filename = `${sessionCode}/image${imageNumber}_${timestamp}`;
-      formData.append("public_id", filename);
-      formData.append("folder", "spatial-cognition-videos");
-      const response = await fetch(
-        `https://api.cloudinary.com/v1_1/${CONFIG.CLOUDINARY_CLOUD_NAME}/video/upload`,
-        { method: "POST", body: formData }
-      );
-      const responseText = await response.text();
-      console.log("Cloudinary response:", responseText);
-      if (!response.ok) {
-        let errorDetail = responseText;
-        try {
-          const errorJson = JSON.parse(responseText);
-          errorDetail = errorJson.error && errorJson.error.message || responseText;
-        } catch (e) {
-        }
-        throw new Error(`Cloudinary error: ${errorDetail}`);
-      }
-      const result = JSON.parse(responseText);
-      console.log("Cloudinary upload successful:", result);
-      return {
-        success: true,
-        url: result.secure_url,
-        publicId: result.public_id,
-        format: result.format,
-        size: result.bytes,
-        duration: result.duration
-      };
-    } catch (error) {
-      console.error("Cloudinary upload failed:", error);
-      return { success: false, error: error.message };
-    }
-  }
   function blobToBase64(blob) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -258,7 +309,7 @@ if (!CONFIG.SHEETS_URL) {
       uploadPreset: CONFIG.CLOUDINARY_UPLOAD_PRESET,
       folder: "spatial-cognition-videos"
     });
-    if (!CONFIG.CLOUDINARY_CLOUD_NAME || !CONFIG.CLOUDINARY_UPLOAD_PRESET) {
+    if (!CLOUDINARY_CLOUD || !CLOUDINARY_PRESET) {
       alert("Set CONFIG.CLOUDINARY_CLOUD_NAME and CONFIG.CLOUDINARY_UPLOAD_PRESET first.");
       return;
     }
@@ -277,23 +328,36 @@ if (!CONFIG.SHEETS_URL) {
       }
       blob = file;
     }
-    const result = await uploadToCloudinary(blob, "TEST_" + Date.now(), 1);
-    if (result.success) {
+    try {
+      const result = await window.uploadBackends.get("cloudinary").upload(blob, { sessionCode: "TEST" + Date.now(), item: "image1", imageNumber: 1 }, () => {
+      });
       console.log("\u2705 SUCCESS! Video URL:", result.url);
       alert("Cloudinary is working! URL: " + result.url);
-    } else {
-      console.error("\u274C FAILED:", result.error);
-      alert("Cloudinary setup has an issue: " + result.error);
+    } catch (error) {
+      console.error("\u274C FAILED:", error);
+      alert("Cloudinary setup has an issue: " + error.message);
     }
   }
 
   // src/recorder.js
   function updateRecordingImage(state2) {
-    const imageNum = state2.recording.currentImage + 1;
+    const index = state2.recording.currentImage;
+    const items = state2.stimuli && state2.stimuli.items || [];
+    const stimulus = items[index] || { src: index === 0 ? CONFIG.IMAGE_1 : CONFIG.IMAGE_2, alt: "", instructions: "" };
     const numSpan = document.getElementById("image-number");
+    const countSpan = document.getElementById("image-count");
     const img = document.getElementById("current-image");
-    if (numSpan) numSpan.textContent = imageNum;
-    if (img) img.src = imageNum === 1 ? CONFIG.IMAGE_1 : CONFIG.IMAGE_2;
+    const instructions = document.getElementById("image-instructions");
+    if (numSpan) numSpan.textContent = index + 1;
+    if (countSpan) countSpan.textContent = items.length || 2;
+    if (img) {
+      img.src = stimulus.src;
+      img.alt = stimulus.alt || "Image to describe";
+    }
+    if (instructions) {
+      instructions.textContent = stimulus.instructions;
+      instructions.hidden = !stimulus.instructions;
+    }
     const status = document.getElementById("recording-status");
     if (status) {
       status.textContent = "Ready to upload";
@@ -425,11 +489,17 @@ Session code: ${state.sessionCode || ""}`);
   var state = {
     sessionCode: "",
     participantID: "",
-    email: "",
     hearingStatus: "",
     fluency: "",
     sequenceIndex: -1,
     sequence: [],
+    sequenceCondition: null,
+    stimuli: null,
+    assignment: null,
+    stimulusAssignment: null,
+    taskTiming: {},
+    timedTask: null,
+    rev: 0,
     currentTaskIndex: 0,
     completedTasks: [],
     skippedTasks: [],
@@ -453,7 +523,9 @@ Session code: ${state.sessionCode || ""}`);
       recordings: [],
       stream: null,
       currentBlob: null,
-      isVideoMode: true
+      isVideoMode: true,
+      finishWhenUploaded: false,
+      waivedUploads: []
     },
     uploadQueue: [],
     processingUpload: false
@@ -474,6 +546,9 @@ Session code: ${state.sessionCode || ""}`);
       intervalId: null,
       externalTime: 0,
       onInactivity: null,
+      onResume: null,
+      // Replaced per task from inactivityPolicy(); these are the defaults
+      policy: { activeWindowMs: 5e3, warnAfterMs: 12e4 },
       start() {
         this.startTime = Date.now();
         this.lastActivity = Date.now();
@@ -491,10 +566,10 @@ Session code: ${state.sessionCode || ""}`);
         if (!document.hidden && !this.isPaused) {
           const timeSinceLastActivity = now - this.lastActivity;
           const timeSinceTick = now - this.lastTick;
-          if (timeSinceLastActivity > 12e4) {
+          if (timeSinceLastActivity > this.policy.warnAfterMs) {
             this.pause("inactivity");
             if (this.onInactivity) this.onInactivity();
-          } else if (timeSinceLastActivity < 5e3) {
+          } else if (timeSinceLastActivity < this.policy.activeWindowMs) {
             this.activeTime += timeSinceTick;
           } else {
             this.inactivityTime += timeSinceTick;
@@ -506,7 +581,10 @@ Session code: ${state.sessionCode || ""}`);
       },
       recordActivity() {
         this.lastActivity = Date.now();
-        if (this.isPaused && this.pauseReason === "inactivity") this.resume();
+        if (this.isPaused && this.pauseReason === "inactivity") {
+          this.resume();
+          if (this.onResume) this.onResume();
+        }
       },
       pause(reason) {
         if (!this.isPaused) {
@@ -568,16 +646,107 @@ Session code: ${state.sessionCode || ""}`);
   }
   var sessionTimer = createTimer();
   var taskTimer = createTimer();
-  function showInactivityPrompt() {
-    sendToSheets({ action: "inactivity", sessionCode: state.sessionCode, task: getStandardTaskName(state.sequence[state.currentTaskIndex] || ""), deviceType: state.isMobile ? "mobile/tablet" : "desktop", timestamp: (/* @__PURE__ */ new Date()).toISOString() });
-    if (confirm("Are you still there?")) {
-      taskTimer.resume();
-      taskTimer.recordActivity();
-      sessionTimer.resume();
-      sessionTimer.recordActivity();
-    }
-  }
-  taskTimer.onInactivity = showInactivityPrompt;
+/* >>> INACTIVITY_POLICY: START >>> */
+// Thresholds come from CONFIG.INACTIVITY, overridden per task by the manifest's
+// `inactivity` object. After warnAfterSec without input the task timer stops
+// counting active time and a non-blocking prompt counts down countdownSec.
+// Any input dismisses it; if nobody answers, the study pauses as if the Pause
+// button had been pressed.
+var inactivityCountdownId = null;
+var inactivityWarnedAt = null;
+var inactivityLastFocus = null;
+var inactivityPromptEl = null;
+
+function inactivityPolicy(taskCode) {
+  const p = { ...CONFIG.INACTIVITY, ...(TASKS[taskCode] && TASKS[taskCode].inactivity || {}) };
+  return { activeWindowMs: p.activeWindowSec * 1e3, warnAfterMs: p.warnAfterSec * 1e3, countdownSec: p.countdownSec };
+}
+
+function inactivityEvent(action, extra) {
+  sendToSheets({
+    action,
+    sessionCode: state.sessionCode,
+    task: getStandardTaskName(state.sequence[state.currentTaskIndex] || ""),
+    deviceType: state.isMobile ? "mobile/tablet" : "desktop",
+    timestamp: new Date().toISOString(),
+    ...extra
+  });
+}
+
+// Kept by reference: while showing in fullscreen the prompt sits inside the
+// fullscreen element, where a task's innerHTML rewrite could detach it
+function inactivityPrompt() {
+  if (!inactivityPromptEl) inactivityPromptEl = document.getElementById("inactivity-prompt");
+  return inactivityPromptEl;
+}
+
+// In real fullscreen only the fullscreen element's subtree is visible, so a
+// showing prompt moves there; otherwise it goes back to document.body
+function placeInactivityPrompt() {
+  const prompt = inactivityPrompt();
+  if (!prompt) return;
+  const host = (!prompt.hidden && document.fullscreenElement) || document.body;
+  if (prompt.parentNode !== host) host.appendChild(prompt);
+}
+
+document.addEventListener("fullscreenchange", placeInactivityPrompt);
+
+function showInactivityPrompt() {
+  const prompt = inactivityPrompt();
+  if (inactivityWarnedAt || !prompt) return;
+  inactivityWarnedAt = Date.now();
+  const policy = taskTimer.policy;
+  let remaining = policy.countdownSec || CONFIG.INACTIVITY.countdownSec;
+  inactivityEvent("inactivity_warned", { idleSeconds: Math.round(policy.warnAfterMs / 1e3), countdownSeconds: remaining });
+
+  const countdown = prompt.querySelector("#inactivity-countdown");
+  countdown.textContent = remaining;
+  prompt.hidden = false;
+  placeInactivityPrompt();
+  inactivityLastFocus = document.activeElement;
+  prompt.querySelector("#inactivity-continue").focus();
+
+  clearInterval(inactivityCountdownId);
+  inactivityCountdownId = setInterval(() => {
+    remaining--;
+    countdown.textContent = Math.max(0, remaining);
+    if (remaining <= 0) autoPauseForInactivity();
+  }, 1e3);
+}
+
+function hideInactivityPrompt() {
+  clearInterval(inactivityCountdownId);
+  inactivityCountdownId = null;
+  const prompt = inactivityPrompt();
+  if (prompt) {
+    prompt.hidden = true;
+    placeInactivityPrompt();
+  }
+  if (inactivityLastFocus && inactivityLastFocus.focus) inactivityLastFocus.focus();
+  inactivityLastFocus = null;
+}
+
+function dismissInactivityPrompt(via = "button") {
+  if (!inactivityWarnedAt) return;
+  const secondsSinceWarning = Math.round((Date.now() - inactivityWarnedAt) / 1e3);
+  inactivityWarnedAt = null;
+  hideInactivityPrompt();
+  taskTimer.recordActivity();
+  sessionTimer.recordActivity();
+  inactivityEvent("inactivity_resumed", { via, secondsSinceWarning });
+}
+
+function autoPauseForInactivity() {
+  const secondsSinceWarning = Math.round((Date.now() - inactivityWarnedAt) / 1e3);
+  inactivityWarnedAt = null;
+  hideInactivityPrompt();
+  inactivityEvent("inactivity_paused", { secondsSinceWarning });
+  pauseStudy("inactivity");
+}
+
+taskTimer.onInactivity = showInactivityPrompt;
+taskTimer.onResume = () => dismissInactivityPrompt("activity");
+/* <<< INACTIVITY_POLICY: END <<< */
   function startHeartbeat(taskName) {
     if (state.heartbeatInterval) return;
     state.heartbeatMisses = 0;
@@ -632,25 +801,20 @@ Session code: ${state.sessionCode || ""}`);
     document.addEventListener(ev, (e) => {
       taskTimer.recordActivity();
       sessionTimer.recordActivity();
-      sendInputEvent(ev, e);
+      if (window.inputTelemetry) window.inputTelemetry.record(ev, e);
     }, { passive: true });
   });
-  function sendInputEvent(type, e) {
-    if (!state.sessionCode) return;
-    const payload = {
-      action: type,
-      sessionCode: state.sessionCode,
-      timestamp: (/* @__PURE__ */ new Date()).toISOString()
-    };
-    if (type === "mousemove" || type === "mousedown" || type === "touchstart") {
-      const point = e.touches && e.touches[0] ? e.touches[0] : e;
-      payload.x = point.clientX;
-      payload.y = point.clientY;
-    }
-    if (type === "keydown") {
-      payload.key = e.key;
-    }
-    sendToSheets(payload);
+  function startInputTelemetry() {
+    if (!window.inputTelemetry) return;
+    window.inputTelemetry.start({
+      ...CONFIG.INPUT_TELEMETRY,
+      getContext: () => state.sessionCode ? {
+        sessionCode: state.sessionCode,
+        task: getStandardTaskName(state.sequence[state.currentTaskIndex] || "")
+      } : null,
+      embedFocused: () => !!activeEmbed && document.activeElement === activeEmbed.frame,
+      send: sendToSheets
+    });
   }
   document.addEventListener("visibilitychange", () => {
     const payload = {
@@ -697,8 +861,17 @@ Session code: ${state.sessionCode || ""}`);
       stopHeartbeat();
     }
   });
-  function init() {
+  async function init() {
+    try {
+      await loadTaskManifest();
+    } catch (e) {
+      console.error("Task manifest unavailable", e);
+      alert(`We couldn't load the study tasks. Please check your connection and refresh the page. If this keeps happening, contact ${CONFIG.SUPPORT_EMAIL}.`);
+      return;
+    }
     setupEventListeners();
+    startInputTelemetry();
+    if (window.uploadQueue) window.uploadQueue.start();
     msRecorderInit();
     if (!window.isSecureContext) {
       const style = document.createElement("style");
@@ -778,6 +951,8 @@ Session code: ${state.sessionCode || ""}`);
     if (widget) widget.classList.toggle("active", showWidget && state.sessionCode);
     const fab = document.getElementById("pause-fab");
     if (fab) fab.classList.toggle("active", showWidget && state.sessionCode);
+    const reportFab = document.getElementById("report-fab");
+    if (reportFab) reportFab.classList.toggle("active", showWidget && state.sessionCode);
     const heading = screen ? screen.querySelector("h2, h1, h3") : null;
     if (heading) {
       heading.setAttribute("tabindex", "-1");
@@ -793,7 +968,128 @@ Session code: ${state.sessionCode || ""}`);
     for (let i = 0; i < 8; i++) code += chars.charAt(Math.floor(Math.random() * chars.length));
     return code;
   }
-  function createNewSession() {
+/* >>> CONDITION_ASSIGNMENT: START >>> */
+// Latin-square rows are handed out from a Firestore counter per device and
+// task set (assignments/{device}-{codes}) so the sample stays balanced. A
+// counterbalanced stimulus set has its own counter (assignments/stimuli-{setId}).
+// If a counter can't be reached we fall back to the session-code hash like before.
+async function assignCounterRow(key, rows, seed) {
+  const assignment = { key, rows, row: seed % rows, source: "hash", counts: null, total: null, assignedAt: new Date().toISOString() };
+  if (typeof window.assignConditionFromFirebase !== "function") return assignment;
+  try {
+    const result = await window.assignConditionFromFirebase(key, rows, nextAssignmentRow);
+    return { ...assignment, row: result.row, source: "firestore", counts: result.counts, total: result.total };
+  } catch (e) {
+    console.warn("Condition assignment failed, using hash fallback", e);
+    return assignment;
+  }
+}
+
+async function assignSequenceRow(device, taskCodes, seed) {
+  if (SEQUENCE_CONFIG.scheme !== "latin-square") return null;
+  const pins = (SEQUENCE_CONFIG.pinFirst || []).concat(SEQUENCE_CONFIG.pinLast || []);
+  const pool = taskCodes.filter((code) => !pins.includes(code));
+  return assignCounterRow(`${device}-${pool.join("-")}`, latinSquareRowCount(pool.length), seed);
+}
+
+async function assignStimulusRow(set, seed) {
+  const images = set.images || [];
+  if (set.order !== "counterbalanced" || images.length < 2) return null;
+  return assignCounterRow(`stimuli-${set.id || "default"}`, latinSquareRowCount(images.length), seed);
+}
+/* <<< CONDITION_ASSIGNMENT: END <<< */
+
+/* >>> SESSION_AUTH: START >>> */
+// Each browser signs in to Firebase anonymously (index.html) and a session doc lists
+// the uids allowed to read and write it (`ownerUids`). The creating browser is the
+// first owner, and no client can change ownerUids after that. Another device joins
+// through server.js: POST /recovery/link checks the code plus the participant's
+// initials against sessions/{code}/private/auth (which clients can't read), caps
+// wrong guesses, and adds the device's uid. Recovery links also add the redeeming
+// device on the server.
+const CLAIM_TIMEOUT_MS = 10e3;
+
+async function initialsHash(code, initials) {
+  const bytes = new TextEncoder().encode(`${code}:${String(initials).trim().toUpperCase()}`);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function currentIdToken() {
+  if (!window.auth) return null;
+  await window.authReady;
+  return window.auth.currentUser ? window.auth.currentUser.getIdToken() : null;
+}
+
+// Create the session doc owned by this browser, with the initials hash and the
+// optional reminder email in the private subcollection (which clients can't read).
+async function claimSession(code, initials, email) {
+  if (!window.db) return;
+  const uid = await window.authReady;
+  if (!uid) throw new Error("Not signed in");
+  const ref = window.db.collection("sessions").doc(code);
+  const now = firebase.firestore.FieldValue.serverTimestamp();
+  const batch = window.db.batch();
+  batch.set(ref, { sessionCode: code, ownerUids: [uid], rev: 0, createdAt: now });
+  batch.set(ref.collection("private").doc("auth"), { sessionCode: code, initialsHash: await initialsHash(code, initials), createdAt: now });
+  if (email) batch.set(ref.collection("private").doc("contact"), { sessionCode: code, email, createdAt: now });
+  // Offline, the commit waits for the network; carry on locally and let it land later
+  await Promise.race([
+    batch.commit(),
+    new Promise((_, reject) => setTimeout(() => reject(new Error("Session claim timed out")), CLAIM_TIMEOUT_MS))
+  ]);
+}
+
+// Add this browser to an existing session. server.js checks the initials and
+// limits wrong guesses; the rules don't let a client add itself.
+async function linkDeviceToSession(code, initials) {
+  if (!CONFIG.STUDY_SERVER_URL) {
+    throw Object.assign(new Error("No study server to link this device"), { status: 503 });
+  }
+  const res = await fetch(`${CONFIG.STUDY_SERVER_URL}/recovery/link`, {
+    method: "POST",
+    headers: { "Content-Type": "text/plain;charset=utf-8" },
+    body: JSON.stringify({ sessionCode: code, initials, idToken: await currentIdToken() })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!data.success) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+}
+
+// Read the session doc, linking this device first when it isn't an owner yet.
+// Resolves to the snapshot, or null after telling the participant what's missing.
+async function getOwnedSessionDoc(code) {
+  const ref = window.db.collection("sessions").doc(code);
+  await window.authReady;
+  try {
+    return await ref.get();
+  } catch (err) {
+    if (err.code !== "permission-denied") throw err;
+  }
+  const initialsEl = document.getElementById("resume-initials");
+  const initials = initialsEl ? initialsEl.value.trim().toUpperCase() : "";
+  if (!/^[A-Z]{2}$/.test(initials)) {
+    alert("To continue on this device, please enter your initials as well as your session code.");
+    if (initialsEl) initialsEl.focus();
+    return null;
+  }
+  try {
+    await linkDeviceToSession(code, initials);
+  } catch (err) {
+    console.warn("Could not link this device to the session", err);
+    if (err.status === 429) {
+      alert("There have been too many attempts for this session code. Please wait an hour and try again, or contact us.");
+    } else if (err.status === 404 || err.status === 400) {
+      alert("We couldn't find a session with that code and those initials. Please check both and try again.");
+    } else {
+      alert("We couldn't open this session on a new device right now. Please use the browser where you started, your recovery link, or contact us.");
+    }
+    return null;
+  }
+  return ref.get();
+}
+/* <<< SESSION_AUTH: END <<< */
+
+  async function createNewSession() {
     const first = document.getElementById("first-initial").value.trim().toUpperCase();
     const last = document.getElementById("last-initial").value.trim().toUpperCase();
     const email = document.getElementById("email").value.trim();
@@ -813,40 +1109,104 @@ Session code: ${state.sessionCode || ""}`);
     }
     state.sessionCode = generateCode();
     state.participantID = `${first}${last}_${Date.now().toString().slice(-4)}`;
-    state.email = email;
     state.hearingStatus = hearing;
     state.fluency = fluency;
     state.consentCode = consentCode;
     state.consentConfirmed = consent;
     const seed = Math.abs(hashCode(state.sessionCode));
     state.sequenceIndex = seed;
-    if (isMobileDevice()) {
-      state.sequence = shuffleWithSeed(MOBILE_TASKS, seed);
-      state.isMobile = true;
-    } else {
-      state.sequence = shuffleWithSeed(DESKTOP_TASKS, seed);
-      state.isMobile = false;
-    }
-    state.sequence = ensureDemographicsLast(state.sequence);
+    state.isMobile = isMobileDevice();
+    const taskCodes = eligibleTaskCodes({
+      device: state.isMobile ? "mobile" : "desktop",
+      fluency: state.fluency,
+      hearingStatus: state.hearingStatus
+    });
+    const createBtn = document.getElementById("create-session-btn");
+    if (createBtn) createBtn.disabled = true;
+    state.assignment = await assignSequenceRow(state.isMobile ? "mobile" : "desktop", taskCodes, seed);
+    state.stimulusAssignment = taskCodes.includes("ID") ? await assignStimulusRow(recordingStimulusSet(), seed) : null;
+    if (createBtn) createBtn.disabled = false;
+    const built = buildSequence(taskCodes, { seed, row: state.assignment ? state.assignment.row : seed });
+    state.sequence = ensureDemographicsLast(built.sequence);
+    state.sequenceCondition = built.condition;
+    recordingStimuli();
     state.startTime = Date.now();
     state.lastActivity = (/* @__PURE__ */ new Date()).toISOString();
+    try {
+      await claimSession(state.sessionCode, `${first}${last}`, email);
+    } catch (e) {
+      console.warn("Could not claim the session in Firestore", e);
+    }
     saveState();
     sendToSheets({
       action: "session_created",
       sessionCode: state.sessionCode,
       participantID: state.participantID,
-      email: state.email,
+      email,
       hearingStatus: state.hearingStatus,
       fluency: state.fluency,
       consentCode: state.consentCode,
       consentConfirmed: state.consentConfirmed,
       deviceType: state.isMobile ? "mobile/tablet" : "desktop",
+      sequenceCondition: state.sequenceCondition.label,
+      stimulusSet: state.stimuli.setId,
+      stimulusOrder: state.stimuli.items.map((item) => item.id).join(","),
+      assignmentSource: state.assignment ? state.assignment.source : "",
+      taskOrder: state.sequence.join(","),
       timestamp: (/* @__PURE__ */ new Date()).toISOString()
     });
     document.getElementById("display-code").textContent = state.sessionCode;
     showScreen("session-created");
   }
  
+/* >>> SESSION_SYNC: START >>> */
+// State saves go through sessionSync.save(), which merges with the stored
+// doc and bumps its revision. If another tab or device has saved in the
+// meantime, its progress is folded into this tab and a notice is shown.
+var sessionWatchStop = null;
+
+function syncStateToFirestore() {
+  if (!window.db || !window.sessionSync || !state.sessionCode) return Promise.resolve();
+  if (!sessionWatchStop) {
+    sessionWatchStop = window.sessionSync.watch(state.sessionCode, () => state.rev, (remote) => {
+      adoptMergedState(remote);
+      showOpenElsewhereNotice();
+    });
+  }
+  // JSON round-trip drops undefined values, which Firestore rejects
+  return window.sessionSync.save(JSON.parse(JSON.stringify(state)))
+    .then(({ state: merged, stale }) => {
+      adoptMergedState(merged);
+      if (stale) showOpenElsewhereNotice();
+    })
+    .catch((err) => console.error('Firebase save error:', err));
+}
+
+function adoptMergedState(merged) {
+  const progressed = (merged.currentTaskIndex || 0) > state.currentTaskIndex
+    || (merged.completedTasks || []).some((code) => !state.completedTasks.includes(code));
+  state = window.sessionSync.mergeStates(state, merged);
+  localStorage.setItem(`study_${state.sessionCode}`, JSON.stringify(state));
+  if (progressed) {
+    updateSessionWidget();
+    updateTaskList();
+    updateProgressBar();
+  }
+}
+
+function showOpenElsewhereNotice() {
+  const notice = document.getElementById('elsewhere-notice');
+  if (notice) notice.hidden = false;
+}
+
+function dismissOpenElsewhereNotice() {
+  const notice = document.getElementById('elsewhere-notice');
+  if (notice) notice.hidden = true;
+}
+
+if (window.sessionSync) window.sessionSync.onRetry = () => saveState();
+/* <<< SESSION_SYNC: END <<< */
+
 async function resumeSession(codeFromLink) {
   const input = codeFromLink || document.getElementById('resume-code').value;
   const code = input.trim().toUpperCase();
@@ -858,10 +1218,15 @@ async function resumeSession(codeFromLink) {
   try {
     // Try Firebase first
     if (window.db) {
-      const doc = await window.db.collection('sessions').doc(code).get();
+      const doc = await getOwnedSessionDoc(code);
+      if (!doc) return;
       if (doc.exists) {
-        state = doc.data();
+        // Stored progress wins over scalars, but keep anything only this browser saw
+        const local = JSON.parse(localStorage.getItem(`study_${code}`) || 'null');
+        state = window.sessionSync ? window.sessionSync.mergeStates(doc.data(), local) : doc.data();
         delete state.lastUpdated; // Remove Firebase timestamp
+        delete state.lastWriter;
+        delete state.ownerUids;
         state.sequence = ensureDemographicsLast(state.sequence);
         saveState();
         updateSessionWidget();
@@ -872,32 +1237,21 @@ async function resumeSession(codeFromLink) {
       }
     }
     
-    // Fallback to Google Sheets
-        /* >>> RESUME_SHEETS_FALLBACK: START >>> */
-    // Fallback to Google Sheets (only if configured)
-    if (CONFIG.SHEETS_URL) {
-      const res = await fetch(CONFIG.SHEETS_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-        body: JSON.stringify({ action: 'get_session', sessionCode: code })
-      });
-      const data = await res.json();
-      if (!data.success || !data.session || !data.session.state) {
-        alert('Session not found. Please check your code.');
-        return;
-      }
-      state = JSON.parse(data.session.state);
-      state.sequence = ensureDemographicsLast(state.sequence);
-      saveState(); // This will save to Firebase
-      updateSessionWidget();
-      showProgressScreen();
-      if (!sessionTimer.startTime) sessionTimer.start();
-    } else {
-      // No Sheets configured and not found in Firebase
-      alert('Session not found. Please check your code.');
+    /* >>> RESUME_LOCAL_FALLBACK: START >>> */
+    // Not in Firestore (or no Firestore): only this device's own copy can be used.
+    // The Apps Script doesn't hand out session state to anyone holding a code.
+    const local = JSON.parse(localStorage.getItem(`study_${code}`) || 'null');
+    if (!local) {
+      alert('Session not found. Please check your code, or use the browser where you started the study.');
       return;
     }
-    /* <<< RESUME_SHEETS_FALLBACK: END <<< */
+    state = local;
+    state.sequence = ensureDemographicsLast(state.sequence);
+    saveState();
+    updateSessionWidget();
+    showProgressScreen();
+    if (!sessionTimer.startTime) sessionTimer.start();
+    /* <<< RESUME_LOCAL_FALLBACK: END <<< */
 
   } catch (err) {
     console.error(err);
@@ -929,24 +1283,6 @@ async function resumeSession(codeFromLink) {
       console.warn("Could not check saved session", e);
     }
   }
-  function checkRecoveryLink() {
-    try {
-      const params = new URLSearchParams(location.search);
-      const token = params.get("recover");
-      if (!token) return;
-      const code = atob(token);
-      if (code && code.length === 8) {
-        resumeSession(code);
-      }
-      try {
-        const cleanURL = location.origin + location.pathname;
-        window.history.replaceState({}, "", cleanURL);
-      } catch (e) {
-      }
-    } catch (e) {
-      console.warn("Invalid recovery link", e);
-    }
-  }
   function saveState() {
   try {
     if (!state || !state.sessionCode) {
@@ -954,20 +1290,10 @@ async function resumeSession(codeFromLink) {
       return;
     }
     state.lastActivity = new Date().toISOString();
+    checkpointTaskTiming();
     
-    // Save to Firebase AND localStorage
-    if (window.db) {
-      const payload = { ...state };
-if (window.firebase && firebase.firestore && firebase.firestore.FieldValue) {
-  payload.lastUpdated = firebase.firestore.FieldValue.serverTimestamp();
-} else {
-  payload.lastUpdated = new Date().toISOString();
-}
-window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: true })
-  .then(() => console.log('State saved to Firebase'))
-  .catch(err => console.error('Firebase save error:', err));
-
-    }
+    // Save to Firebase (merged with other tabs/devices) AND localStorage
+    syncStateToFirestore();
     
     // Keep localStorage as backup
     localStorage.setItem(`study_${state.sessionCode}`, JSON.stringify(state));
@@ -987,6 +1313,10 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     showProgressScreen();
   }
   function showProgressScreen() {
+    if (needsPreflight()) {
+      showPreflightScreen();
+      return;
+    }
     updateTaskList();
     updateProgressBar();
     updateSessionWidget();
@@ -997,7 +1327,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
   function updateSkippedNotice() {
     const box = document.getElementById("skipped-notice");
     if (!box) return;
-    const count = state.skippedTasks.length;
+    const count = state.sequence.filter((code) => state.skippedTasks.includes(code) || preflightSkipped(code)).length;
     if (count > 0) {
       box.style.display = "block";
       box.textContent = `You have skipped ${count} task${count > 1 ? "s" : ""}. Each task gives unique data. If you can, go back and try them. Even partial answers help. There is no judgment.`;
@@ -1020,17 +1350,23 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
       const task = TASKS[taskCode];
       const li = document.createElement("li");
       li.className = "task-item";
-      const isCompleted = state.completedTasks.includes(taskCode);
+      const isCompleted = taskSettled(taskCode);
       const isCurrent = index === state.currentTaskIndex && !isCompleted;
+      const source = isCompleted && state.taskData && state.taskData[taskCode] ? state.taskData[taskCode].completionSource : "";
+      const sourceBadge = source ? `<span class="task-badge ${source}">${source === "verified" ? "Verified" : "Self-reported"}</span>` : "";
+      const unavailable = preflightUnavailable(taskCode);
+      const notes = unavailable ? [`Not available in this browser: ${unavailable}`] : isCompleted ? [] : preflightWarnings(taskCode);
+      if (unavailable) li.classList.add("unavailable");
       if (isCompleted) li.classList.add("completed");
       else if (isCurrent) li.classList.add("current");
       else li.classList.add("locked");
       li.innerHTML = `
           <div class="task-info">
-            <div class="task-name">${task.name}<span class="task-badge">${task.estMinutes}m</span></div>
+            <div class="task-name">${task.name}<span class="task-badge">${task.estMinutes}m</span>${sourceBadge}</div>
             <div class="task-description">${task.description}</div>
+            ${notes.map((note) => `<div class="task-note">${note}</div>`).join("")}
           </div>
-          <div class="task-status">${isCompleted ? "\u2705" : isCurrent ? "\u25B6\uFE0F" : "\u{1F512}"}</div>
+          <div class="task-status">${unavailable ? "\u{1F6AB}" : isCompleted ? "\u2705" : isCurrent ? "\u25B6\uFE0F" : "\u{1F512}"}</div>
         `;
       list.appendChild(li);
     });
@@ -1038,7 +1374,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
   function getTaskCounts() {
     return {
       total: state.sequence.length,
-      completed: state.completedTasks.length
+      completed: state.sequence.filter(taskSettled).length
     };
   }
   function updateProgressBar() {
@@ -1067,6 +1403,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     document.getElementById("widget-time").textContent = `${Math.round(state.totalTimeSpent / 6e4)} min`;
     const currentTask = state.sequence[state.currentTaskIndex];
     document.getElementById("widget-current").textContent = currentTask ? TASKS[currentTask].name : "Complete";
+    if (window.uploadQueue) updatePendingUploads(window.uploadQueue.list());
   }
   function continueToCurrentTask() {
     if (state.currentTaskIndex >= state.sequence.length) {
@@ -1080,13 +1417,321 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     const taskCode = state.sequence[state.currentTaskIndex];
     showSkipDialog(taskCode);
   }
+/* >>> PREFLIGHT: START >>> */
+// Device and browser checks (preflight.js) run the first time the task list is
+// opened in a browser, and again when the session moves to another browser.
+// The verdicts are kept in state.preflight. A task isn't offered when a check
+// it needs fails: an embedded task needs its page to load (embed:<code>), and
+// tasks.json can list more checks under `needs`. Such tasks are skipped with
+// the failed checks as the reason, and offered again if a later run passes.
+// These skips live only in state.preflight.unavailable, never in
+// completedTasks/skippedTasks: those merge as unions across tabs and devices,
+// so a task written there could never be offered again.
+// When recording can't work, the image-description task is upload-only.
+var RECORDING_CHECKS = ["secure_context", "media_recorder", "camera"];
+var PREFLIGHT_ICONS = { pass: "\u2705", warn: "\u26A0\uFE0F", fail: "\u274C", pending: "\u23F3" };
+var preflightResults = null;
+var preflightRunId = 0;
+
+function needsPreflight() {
+  return !!(window.preflight && state.sessionCode && (!state.preflight || state.preflight.userAgent !== navigator.userAgent));
+}
+
+function preflightSkipped(taskCode) {
+  const unavailable = state.preflight && state.preflight.unavailable;
+  return !!(unavailable && unavailable[taskCode]) && !state.completedTasks.includes(taskCode);
+}
+
+// Done, or skipped because this browser can't run it
+function taskSettled(taskCode) {
+  return state.completedTasks.includes(taskCode) || preflightSkipped(taskCode);
+}
+
+function preflightChecksFor(taskCode) {
+  const task = TASKS[taskCode] || {};
+  return (task.needs || []).concat(task.type === "embed" ? [`embed:${taskCode}`] : []);
+}
+
+function preflightOptions(extra) {
+  const embeds = state.sequence
+    .filter((code) => TASKS[code] && TASKS[code].type === "embed" && !state.completedTasks.includes(code))
+    .map((code) => ({ code, name: TASKS[code].name, url: TASKS[code].embedUrl }));
+  return {
+    sessionCode: state.sessionCode,
+    pickMime,
+    embeds,
+    local: OFFLINE_LAB,
+    serverUrl: CONFIG.STUDY_SERVER_URL,
+    thresholds: CONFIG.PREFLIGHT,
+    ...extra
+  };
+}
+
+// Details of the failed checks that keep a task from being offered, or ""
+function preflightUnavailable(taskCode) {
+  const failed = state.preflight && state.preflight.unavailable && state.preflight.unavailable[taskCode];
+  if (!failed) return "";
+  return failed.map((id) => (state.preflight.checks[id] ? state.preflight.checks[id].detail : id)).join("; ");
+}
+
+function preflightWarnings(taskCode) {
+  const checks = (state.preflight && state.preflight.checks) || {};
+  return preflightChecksFor(taskCode).filter((id) => checks[id] && checks[id].verdict === "warn").map((id) => `\u26A0\uFE0F ${checks[id].detail}`);
+}
+
+function unavailableTasks(checks) {
+  const unavailable = {};
+  state.sequence.forEach((code) => {
+    const failed = preflightChecksFor(code).filter((id) => checks[id] && checks[id].verdict === "fail");
+    if (failed.length) unavailable[code] = failed;
+  });
+  return unavailable;
+}
+
+function recordingBlocked(checks) {
+  return RECORDING_CHECKS.some((id) => checks[id] && checks[id].verdict === "fail");
+}
+
+function renderPreflightCheck({ id, label, verdict, detail }) {
+  const list = document.getElementById("preflight-list");
+  if (!list) return;
+  let li = Array.from(list.children).find((el) => el.dataset.check === id);
+  if (!li) {
+    li = document.createElement("li");
+    li.dataset.check = id;
+    list.appendChild(li);
+  }
+  li.className = `preflight-item ${verdict || "pending"}`;
+  li.innerHTML = `
+    <span class="preflight-icon" aria-hidden="true">${PREFLIGHT_ICONS[verdict || "pending"]}</span>
+    <div>
+      <div class="preflight-label">${label}</div>
+      <div class="preflight-detail">${detail || "Checking\u2026"}</div>
+    </div>
+  `;
+}
+
+function renderPreflightSummary() {
+  const box = document.getElementById("preflight-summary");
+  if (!box || !preflightResults) return;
+  const checks = preflightResults.checks;
+  const lines = [];
+  const unavailable = Object.keys(unavailableTasks(checks)).filter((code) => !state.completedTasks.includes(code));
+  if (unavailable.length) {
+    lines.push(`These tasks won't work in this browser and will be skipped: <strong>${unavailable.map(getStandardTaskName).join(", ")}</strong>. You can do them later on another computer with your session code.`);
+  }
+  if (state.sequence.includes("ID") && recordingBlocked(checks)) {
+    lines.push("Recording isn't available here, so for the Image Description task you'll upload video files instead.");
+  }
+  if (Object.values(checks).some((c) => c.verdict === "warn")) {
+    lines.push("Items marked \u26A0\uFE0F may cause problems, but you can continue.");
+  }
+  box.innerHTML = lines.map((line) => `<p>${line}</p>`).join("");
+  box.style.display = lines.length ? "block" : "none";
+}
+
+async function runPreflight() {
+  const runId = ++preflightRunId;
+  const list = document.getElementById("preflight-list");
+  const continueBtn = document.getElementById("preflight-continue-btn");
+  const summary = document.getElementById("preflight-summary");
+  if (list) list.innerHTML = "";
+  if (summary) summary.style.display = "none";
+  if (continueBtn) continueBtn.disabled = true;
+  preflightResults = null;
+  const options = preflightOptions();
+  window.preflight.list(options).forEach(renderPreflightCheck);
+  const results = await window.preflight.run(options, (check) => {
+    if (runId === preflightRunId) renderPreflightCheck(check);
+  });
+  if (runId !== preflightRunId) return;
+  preflightResults = results;
+  renderPreflightSummary();
+  if (continueBtn) continueBtn.disabled = false;
+}
+
+async function recheckPreflight(id, extra) {
+  if (!preflightResults) return;
+  const check = await window.preflight.recheck(id, preflightOptions(extra));
+  if (!preflightResults) return;
+  preflightResults.checks[id] = { label: check.label, verdict: check.verdict, detail: check.detail };
+  renderPreflightCheck(check);
+  renderPreflightSummary();
+}
+
+// Asks for camera and microphone access, instead of only reading the permission state
+function testPreflightCamera() {
+  return recheckPreflight("camera", { requestMedia: true });
+}
+
+function showPreflightScreen() {
+  showScreen("preflight-screen");
+  runPreflight();
+}
+
+document.addEventListener("keydown", () => {
+  const screen = document.getElementById("preflight-screen");
+  const keyboard = preflightResults && preflightResults.checks.keyboard;
+  if (screen && screen.classList.contains("active") && keyboard && keyboard.verdict !== "pass") recheckPreflight("keyboard");
+});
+
+function continueFromPreflight() {
+  if (!preflightResults) return;
+  const checks = preflightResults.checks;
+  const before = (state.preflight && state.preflight.unavailable) || {};
+  const unavailable = unavailableTasks(checks);
+  // Anything an earlier browser couldn't run but this one can is offered again
+  // simply by dropping out of state.preflight.unavailable below
+  Object.keys(unavailable).forEach((code) => {
+    if (state.completedTasks.includes(code)) {
+      delete unavailable[code]; // done already; nothing to take away
+      return;
+    }
+    if (before[code]) return;
+    sendToSheets({
+      action: "task_skipped",
+      sessionCode: state.sessionCode,
+      task: getStandardTaskName(code),
+      reason: `Not supported on this device (${unavailable[code].join(", ")})`,
+      timestamp: (/* @__PURE__ */ new Date()).toISOString(),
+      deviceType: state.isMobile ? "mobile/tablet" : "desktop"
+    });
+  });
+  state.preflight = { ...preflightResults, unavailable };
+  const next = state.sequence.findIndex((code) => !taskSettled(code));
+  state.currentTaskIndex = next === -1 ? state.sequence.length : next;
+  saveState();
+  const ids = (verdict) => Object.keys(checks).filter((id) => checks[id].verdict === verdict);
+  sendToSheets({
+    action: "preflight_completed",
+    sessionCode: state.sessionCode,
+    passed: ids("pass").join(","),
+    warned: ids("warn").join(","),
+    failed: ids("fail").join(","),
+    unavailableTasks: Object.keys(unavailable).map(getStandardTaskName).join(","),
+    recording: recordingBlocked(checks) ? "upload-only" : "available",
+    checks: JSON.stringify(checks),
+    deviceType: state.isMobile ? "mobile/tablet" : "desktop",
+    timestamp: (/* @__PURE__ */ new Date()).toISOString()
+  });
+  preflightResults = null;
+  if (state.currentTaskIndex >= state.sequence.length) showCompletionScreen();
+  else showProgressScreen();
+}
+
+function applyPreflightToRecorder() {
+  const checks = state.preflight && state.preflight.checks;
+  if (!checks || !recordingBlocked(checks)) return;
+  const start = document.getElementById("rec-start");
+  const status = document.getElementById("rec-status");
+  if (start) start.disabled = true;
+  if (status) {
+    const reasons = RECORDING_CHECKS.filter((id) => checks[id] && checks[id].verdict === "fail").map((id) => checks[id].detail);
+    status.textContent = `Recording isn't available in this browser (${reasons.join("; ")}). Please upload a video file below.`;
+  }
+}
+/* <<< PREFLIGHT: END <<< */
+
+/* >>> TASK_TIMING: START >>> */
+// Per-task timing that survives reloads and resumes. Every time a task is
+// opened it gets a visit segment in state.taskTiming[code].visits. The open
+// segment is checkpointed on saveState(), on pagehide and every
+// TIMING_CHECKPOINT_MS (localStorage; Firestore every TIMING_REMOTE_EVERY
+// checkpoints), so a reload loses at most one interval. Task totals are the
+// sum of all visits.
+var TIMING_CHECKPOINT_MS = 15e3;
+var TIMING_REMOTE_EVERY = 4;
+var timingCheckpointId = null;
+var timingCheckpoints = 0;
+
+function visitFromTimer(timer) {
+  const s = timer.getSummary();
+  return { start: s.start, end: s.end, elapsed: s.elapsed, active: s.active, inactive: s.inactive, paused: s.paused, pauseCount: s.pauseCount };
+}
+
+function openVisitOf(taskCode) {
+  const timing = state.taskTiming && state.taskTiming[taskCode];
+  const last = timing && timing.visits[timing.visits.length - 1];
+  return last && last.open ? last : null;
+}
+
+// Visits left open by an earlier page load end at their last checkpoint
+function closeInterruptedVisits() {
+  Object.keys(state.taskTiming || {}).forEach((code) => {
+    const visit = openVisitOf(code);
+    if (visit && code !== state.timedTask) {
+      visit.open = false;
+      visit.endReason = "interrupted";
+    }
+  });
+}
+
+function checkpointTaskTiming() {
+  const visit = state.timedTask && openVisitOf(state.timedTask);
+  if (visit && taskTimer.startTime && !taskTimer.endTime) Object.assign(visit, visitFromTimer(taskTimer));
+}
+
+function persistTaskTiming() {
+  if (!state.sessionCode) return;
+  checkpointTaskTiming();
+  localStorage.setItem(`study_${state.sessionCode}`, JSON.stringify(state));
+  timingCheckpoints++;
+  if (timingCheckpoints % TIMING_REMOTE_EVERY === 0) syncStateToFirestore();
+}
+
+function openTaskVisit(taskCode) {
+  state.timedTask = null;
+  closeInterruptedVisits();
+  if (!state.taskTiming) state.taskTiming = {};
+  if (!state.taskTiming[taskCode]) state.taskTiming[taskCode] = { visits: [] };
+  state.taskTiming[taskCode].visits.push({ ...visitFromTimer(taskTimer), open: true });
+  state.timedTask = taskCode;
+  clearInterval(timingCheckpointId);
+  timingCheckpointId = setInterval(persistTaskTiming, TIMING_CHECKPOINT_MS);
+}
+
+function closeTaskVisit(taskCode, endReason) {
+  checkpointTaskTiming();
+  const visit = openVisitOf(taskCode);
+  if (visit) {
+    visit.open = false;
+    visit.endReason = endReason;
+  }
+  state.timedTask = null;
+  clearInterval(timingCheckpointId);
+}
+
+// Totals across every visit to a task, in the shape of timer.getSummary()
+function taskTimingTotals(taskCode) {
+  const visits = state.taskTiming && state.taskTiming[taskCode] ? state.taskTiming[taskCode].visits : [];
+  const sum = (key) => visits.reduce((acc, v) => acc + (v[key] || 0), 0);
+  const elapsed = sum("elapsed");
+  const active = sum("active");
+  return {
+    start: visits.length ? visits[0].start : new Date().toISOString(),
+    end: visits.length ? visits[visits.length - 1].end : new Date().toISOString(),
+    elapsed,
+    active,
+    inactive: sum("inactive"),
+    paused: sum("paused"),
+    pauseCount: sum("pauseCount"),
+    activity: elapsed > 0 ? active / elapsed * 100 : 0,
+    visits: visits.length
+  };
+}
+
+window.addEventListener("pagehide", persistTaskTiming);
+/* <<< TASK_TIMING: END <<< */
+
   function startTask(taskCode) {
     const task = TASKS[taskCode];
     if (!task) return;
     if (!state.taskData) state.taskData = {};
     state.taskData[taskCode] = { startTime: Date.now() };
     state.currentTaskType = task.type;
+    taskTimer.policy = inactivityPolicy(taskCode);
     taskTimer.start();
+    openTaskVisit(taskCode);
     if (task.type === "recording") showRecordingTask();
     else if (task.type === "embed") showEmbeddedTask(taskCode);
     else showExternalTask(taskCode);
@@ -1104,19 +1749,112 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     document.body.style.top = "";
     window.scrollTo(0, y);
   }
-  window.addEventListener("message", (ev) => {
-  // Allow GitHub Pages AND same-origin (Firebase Hosting) if you later move tasks
-  const allowedOrigins = new Set([
-    "https://melodyfschwenk.github.io",
-    location.origin
-  ]);
-  if (!allowedOrigins.has(ev.origin)) return;
+/* >>> EMBED_PROTOCOL: START >>> */
+// Versioned postMessage protocol spoken by the embedded tasks (RC, MRT, SN).
+// Each message looks like { protocol: "study-embed", version: 1, type, taskCode, payload }.
+// Only messages from the active task's iframe, on the origin of its embedUrl, are accepted.
+var EMBED_PROTOCOL = "study-embed";
+var EMBED_PROTOCOL_VERSION = 1;
+var EMBED_MESSAGE_TYPES = ["task_ready", "task_progress", "task_trials", "task_keys", "task_completed", "task_error"];
+// Tasks marked legacyFinish in tasks.json get the old "I'm finished" button if
+// they haven't sent task_ready within this window; no other task can self-report
+var EMBED_READY_GRACE_MS = 10e3;
+var activeEmbed = null;
+
+function originOf(url) {
+  try {
+    return new URL(url, location.href).origin;
+  } catch (e) {
+    return "";
+  }
+}
+
+window.addEventListener("message", (ev) => {
+  const embed = activeEmbed;
+  if (!embed || ev.origin !== embed.origin) return;
+  if (!embed.frame || ev.source !== embed.frame.contentWindow) return;
   const data = ev.data || {};
-  if (data.type === "task-complete" && data.taskCode && TASKS[data.taskCode]) {
-    completeTask(data.taskCode);
+
+  // Pre-protocol builds only ever sent { type: "task-complete", taskCode }
+  if (data.type === "task-complete" && data.taskCode === embed.taskCode) {
+    embed.onMessage("task_completed", { legacy: true });
+    return;
+  }
+
+  if (data.protocol !== EMBED_PROTOCOL || !EMBED_MESSAGE_TYPES.includes(data.type)) return;
+  if (data.taskCode && data.taskCode !== embed.taskCode) return;
+  if (data.version !== EMBED_PROTOCOL_VERSION) {
+    embed.onMessage("task_error", { message: `Unsupported protocol version ${data.version}` });
+    return;
   }
+  embed.onMessage(data.type, data.payload && typeof data.payload === "object" ? data.payload : {});
 });
 
+// The task page reads these through studyEmbed.js
+function embedSrc(url, taskCode) {
+  try {
+    const src = new URL(url, location.href);
+    src.searchParams.set("taskCode", taskCode);
+    src.searchParams.set("studyOrigin", location.origin);
+    return src.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+function logEmbedMessage(taskCode, type, payload) {
+  sendToSheets({
+    action: `embed_${type}`,
+    sessionCode: state.sessionCode,
+    task: getStandardTaskName(taskCode),
+    payload,
+    deviceType: state.isMobile ? "mobile/tablet" : "desktop",
+    timestamp: new Date().toISOString()
+  });
+}
+/* <<< EMBED_PROTOCOL: END <<< */
+
+/* >>> TRIAL_CAPTURE: START >>> */
+// Per-trial records streamed by embedded tasks go through the durable event
+// queue (eventQueue.js) as trial_batch events, so a reload or a lost connection
+// doesn't lose them and failed writes back off like any other event. The
+// Firestore transport (index.html) writes them to sessions/{code}/trials;
+// offline lab sessions keep them with the other events until `npm run sync`.
+var TRIAL_WRITE_LIMIT = 400; // stay under Firestore's 500-write batch cap
+
+function normalizeTrial(taskCode, raw) {
+  const t = raw && typeof raw === "object" ? raw : {};
+  const trial = {
+    sessionCode: state.sessionCode,
+    task: taskCode,
+    trialIndex: Number.isFinite(t.trialIndex) ? t.trialIndex : null,
+    block: t.block != null ? String(t.block) : "",
+    stimulusId: t.stimulusId != null ? String(t.stimulusId) : "",
+    response: t.response != null ? String(t.response) : "",
+    rt: Number.isFinite(t.rt) ? t.rt : null,
+    correct: typeof t.correct === "boolean" ? t.correct : null,
+    clientTime: t.timestamp || new Date().toISOString()
+  };
+  if (t.extra && typeof t.extra === "object") trial.extra = t.extra;
+  return trial;
+}
+
+function queueTrials(taskCode, trials) {
+  // Apps Script has no trials sheet, so without Firestore or the lab server there's nowhere to keep them
+  if (!state.sessionCode || !trials.length || !(window.db || OFFLINE_LAB)) return;
+  const records = trials.map((t) => normalizeTrial(taskCode, t));
+  for (let i = 0; i < records.length; i += TRIAL_WRITE_LIMIT) {
+    sendToSheets({
+      action: "trial_batch",
+      sessionCode: state.sessionCode,
+      task: taskCode,
+      trials: records.slice(i, i + TRIAL_WRITE_LIMIT),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+/* <<< TRIAL_CAPTURE: END <<< */
+
   function showEmbeddedTask(taskCode) {
     const task = TASKS[taskCode];
     const url = task.embedUrl;
@@ -1161,23 +1899,23 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     const content = document.getElementById("task-content");
     content.innerHTML = `
   <div class="card" id="prestart">
-    <p>When you click <strong>Continue</strong>, the task will open in fullscreen. When you're finished, click <em>I'm finished \u2014 Continue</em>.</p>
+    <p>When you click <strong>Continue</strong>, the task will open in fullscreen. When the task tells us you're done, the study moves on by itself.</p>
     <div class="button-group" style="margin-top:12px;">
       <button class="button" id="start-embed">Continue</button>
-      <button class="button outline" type="button" onclick="openSupportEmail('${taskCode}')">Report Technical Issue Instead</button>
+      <button class="button outline" type="button" onclick="openReportProblem('${taskCode}')">Report Technical Issue Instead</button>
       ${task.canSkip ? `<button class="button skip" onclick="showSkipDialog('${taskCode}')" title="Please try the task first or email ${CONFIG.SUPPORT_EMAIL} for help">Unable to complete</button>` : ""}
     </div>
   </div>
 
   <div class="embed-shell fs-shell" id="fs-shell" style="display:none;">
     <div class="fs-toolbar" id="fs-toolbar">
-      <div>${task.name}</div>
+      <div>${task.name}<span class="embed-status" id="embed-status" aria-live="polite"></span></div>
       <div class="actions">
         <button class="button success" id="finish-btn" disabled>I'm finished \u2014 Continue</button>
         <button class="button secondary" id="exit-btn">Exit fullscreen</button>
       </div>
     </div>
-    <iframe id="${iframeId}" class="embed-frame" src="${url}" allow="fullscreen; gamepad; xr-spatial-tracking" allowfullscreen></iframe>
+    <iframe id="${iframeId}" class="embed-frame" src="${embedSrc(url, taskCode)}" allow="fullscreen; gamepad; xr-spatial-tracking" allowfullscreen></iframe>
     <div class="embed-note">Tip: click once inside the game to give it keyboard focus.</div>
   </div>
 `;
@@ -1188,7 +1926,53 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     const prestart = document.getElementById("prestart");
     const iframe = document.getElementById(iframeId);
     iframe.addEventListener("focus", () => taskTimer.recordActivity());
-    const enableFinish = () => {
+    const embedStatus = document.getElementById("embed-status");
+    const setEmbedStatus = (text) => {
+      if (embedStatus) embedStatus.textContent = text;
+    };
+    const embed = {
+      taskCode,
+      origin: originOf(url),
+      frame: iframe,
+      ready: false,
+      completed: false,
+      legacy: false,
+      onMessage(type, payload) {
+        if (activeEmbed !== embed) return;
+        if (type === "task_trials") {
+          queueTrials(taskCode, Array.isArray(payload.trials) ? payload.trials : [payload]);
+          return;
+        }
+        if (type === "task_keys") {
+          if (window.inputTelemetry) window.inputTelemetry.recordEmbedKeys(Array.isArray(payload.keys) ? payload.keys : []);
+          return;
+        }
+        logEmbedMessage(taskCode, type, payload);
+        if (type === "task_ready") {
+          embed.ready = true;
+          embed.legacy = false;
+          finishBtn.disabled = !embed.completed;
+          setEmbedStatus("Connected");
+        } else if (type === "task_progress") {
+          taskTimer.recordActivity();
+          if (payload.completed != null && payload.total) setEmbedStatus(`${payload.completed} of ${payload.total} done`);
+        } else if (type === "task_completed") {
+          if (embed.completed) return;
+          embed.completed = true;
+          state.taskData[taskCode].completionSource = "verified";
+          state.taskData[taskCode].summary = payload;
+          leaveFullscreenModes();
+          completeTask(taskCode);
+        } else if (type === "task_error") {
+          setEmbedStatus(`The task reported a problem: ${payload.message || "unknown error"}`);
+        }
+      }
+    };
+    activeEmbed = embed;
+    // Only for task pages that don't speak the protocol yet (legacyFinish in tasks.json)
+    const enableLegacyFinish = () => {
+      if (!task.legacyFinish || embed.ready || activeEmbed !== embed) return;
+      embed.legacy = true;
       finishBtn.disabled = false;
     };
     async function goFullscreen() {
@@ -1214,7 +1998,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
       } catch (e) {
         enterDistractionFree();
       }
-      setTimeout(enableFinish, 6e3);
+      setTimeout(enableLegacyFinish, EMBED_READY_GRACE_MS);
     }
     function leaveFullscreenModes() {
       if (document.fullscreenElement) document.exitFullscreen().catch(() => {
@@ -1224,13 +2008,14 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     }
     document.getElementById("start-embed").onclick = goFullscreen;
     finishBtn.onclick = () => {
+      if (!embed.completed && !embed.legacy) return;
+      state.taskData[taskCode].completionSource = "self-reported";
       leaveFullscreenModes();
       completeTask(taskCode);
     };
     exitBtn.onclick = () => {
       leaveFullscreenModes();
       fsShell.scrollIntoView({ behavior: "smooth", block: "start" });
-      enableFinish();
     };
     const loadTimeout = setTimeout(() => {
       const note = document.createElement("div");
@@ -1272,9 +2057,8 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
         </ol>
       </div>
       <div style="margin-top: 10px; text-align: left;">
-        <p>If you encounter any problems with the ASLCT, please describe them below and click Send.</p>
-        <textarea id="aslct-issue-text" style="width: 100%; height: 80px; margin-top: 6px;"></textarea>
-        <button class="button secondary" style="margin-top: 10px;" onclick="submitASLCTIssue()">Send</button>
+        <p>If you encounter any problems with the ASLCT, please tell us.</p>
+        <button class="button secondary" style="margin-top: 10px;" onclick="openReportProblem('ASLCT')">Report a problem</button>
       </div>`;
     } else if (taskCode === "VCN") {
       extra = `
@@ -1313,13 +2097,13 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     const content = document.getElementById("task-content");
     content.innerHTML = `
     <div class="button-group">
-      <a class="button" href="${task.url}" target="_blank" rel="noopener"
+      <a class="button" id="open-external-task" href="${task.url}" target="_blank" rel="noopener"
          aria-label="Open Task (opens in new tab)"
          onclick="sendToSheets({ action: 'task_opened', sessionCode: state.sessionCode || 'none', timestamp: new Date().toISOString(), userAgent: navigator.userAgent, deviceType: state.isMobile ? 'mobile/tablet' : 'desktop' });">
          Open Task
       </a>
-      <button class="button success" onclick="completeTask('${taskCode}')">Mark Complete</button>
-      <button class="button outline" onclick="openSupportEmail('${taskCode}')">Report Technical Issue Instead</button>
+      <button class="button success" onclick="markExternalComplete('${taskCode}', this)">Mark Complete</button>
+      <button class="button outline" onclick="openReportProblem('${taskCode}')">Report Technical Issue Instead</button>
     </div>
   `;
     if (task.canSkip) {
@@ -1330,17 +2114,73 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     `;
     }
     showScreen("task-screen");
+    prepareExternalLink(taskCode);
   }
+
+/* >>> EXTERNAL_RETURN_LINKS: START >>> */
+// External task URLs carry the session code and a one-time nonce from server.js. A
+// platform that redirects to /return with the task's return key on completion (e.g. a
+// Qualtrics end-of-survey redirect) marks the task "verified" on the server; anything
+// else is recorded as "self-reported". The page only asks; it can't verify a task itself.
+async function prepareExternalLink(taskCode) {
+  const link = document.getElementById("open-external-task");
+  const task = TASKS[taskCode];
+  if (!link || !task || !CONFIG.STUDY_SERVER_URL || !state.sessionCode) return;
+  try {
+    const res = await fetch(`${CONFIG.STUDY_SERVER_URL}/external-link`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=utf-8" },
+      body: JSON.stringify({ sessionCode: state.sessionCode, task: taskCode, idToken: await currentIdToken() })
+    });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || `HTTP ${res.status}`);
+    const signed = new URL(task.url);
+    Object.entries(data.params).forEach(([key, value]) => signed.searchParams.set(key, value));
+    link.href = signed.toString();
+  } catch (err) {
+    console.warn("Could not get a return link for the external task; completion will be self-reported", err);
+  }
+}
+
+async function isExternalReturnVerified(taskCode) {
+  if (!CONFIG.STUDY_SERVER_URL || !state.sessionCode) return false;
+  try {
+    const res = await fetch(`${CONFIG.STUDY_SERVER_URL}/return/status`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=utf-8" },
+      body: JSON.stringify({ sessionCode: state.sessionCode, task: taskCode, idToken: await currentIdToken() })
+    });
+    const data = await res.json();
+    return !!(data && data.verified);
+  } catch (err) {
+    console.warn("Could not check return link status", err);
+    return false;
+  }
+}
+
+async function markExternalComplete(taskCode, btnEl) {
+  if (btnEl) btnEl.disabled = true;
+  const verified = await isExternalReturnVerified(taskCode);
+  if (!state.taskData) state.taskData = {};
+  state.taskData[taskCode] = { ...(state.taskData[taskCode] || {}), completionSource: verified ? "verified" : "self-reported" };
+  completeTask(taskCode);
+}
+/* <<< EXTERNAL_RETURN_LINKS: END <<< */
   function showRecordingTask() {
-    state.recording.currentImage = 0;
+    const next = nextRecordingImage();
+    state.recording.currentImage = next === -1 ? recordingImages().length - 1 : next;
     document.getElementById("recording-content").style.display = "block";
     updateRecordingImage(state);
+    if (recorderReset) recorderReset();
+    applyPreflightToRecorder();
     /* >>> UPLOADER_CALL SWITCH START >>> */
 // Prefer the global (Firebase) override if present; otherwise use the local Uploadcare version.
 (window.setupUploadcareUploader || setupUploadcareUploader)(state, sendToSheets, completeTask);
 /* <<< UPLOADER_CALL SWITCH END <<< */
 
     showScreen("recording-screen");
+    // Back after both images were done (e.g. waiting for uploads after a reload)
+    if (next === -1) finishRecordingTask();
   }
   function completeTask(taskCode) {
     const task = TASKS[taskCode];
@@ -1348,13 +2188,16 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
       console.error("Task not found:", taskCode);
       return;
     }
+    if (taskCode === "ID" && holdForRecordingUploads()) return;
+    activeEmbed = null;
     taskTimer.stop();
-    const summary = taskTimer.getSummary();
+    closeTaskVisit(taskCode, "completed");
+    const summary = taskTimingTotals(taskCode);
     state.totalTimeSpent += summary.elapsed;
     if (!state.completedTasks.includes(taskCode)) state.completedTasks.push(taskCode);
     state.skippedTasks = state.skippedTasks.filter((code) => code !== taskCode);
     state.currentTaskIndex++;
-    while (state.currentTaskIndex < state.sequence.length && state.completedTasks.includes(state.sequence[state.currentTaskIndex])) state.currentTaskIndex++;
+    while (state.currentTaskIndex < state.sequence.length && taskSettled(state.sequence[state.currentTaskIndex])) state.currentTaskIndex++;
     saveState();
     const payload = {
       sessionCode: state.sessionCode,
@@ -1367,6 +2210,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
       activity: Math.round(summary.activity),
       startTime: summary.start,
       endTime: summary.end,
+      visits: summary.visits,
       timestamp: (/* @__PURE__ */ new Date()).toISOString(),
       deviceType: state.isMobile ? "mobile/tablet" : "desktop"
     };
@@ -1374,6 +2218,9 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     if (taskCode === "ID" && state.recording && state.recording.recordingDuration) {
       payload.recordingDuration = Math.round(state.recording.recordingDuration / 1e3);
     }
+    const taskData = state.taskData && state.taskData[taskCode] || {};
+    if (taskData.completionSource) payload.completionSource = taskData.completionSource;
+    if (taskData.summary) payload.summary = taskData.summary;
     sendToSheets(payload);
     logSessionTime(taskCode);
     state.currentTaskType = "";
@@ -1386,7 +2233,9 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
       console.error("Task not found:", taskCode);
       return;
     }
+    activeEmbed = null;
     taskTimer.stop();
+    closeTaskVisit(taskCode, "skipped");
     if (taskCode === "ID") {
       if (state.recording && (state.recording.stream || state.recording.active)) {
         try {
@@ -1401,7 +2250,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     if (!state.completedTasks.includes(taskCode)) state.completedTasks.push(taskCode);
     if (!state.skippedTasks.includes(taskCode)) state.skippedTasks.push(taskCode);
     state.currentTaskIndex++;
-    while (state.currentTaskIndex < state.sequence.length && state.completedTasks.includes(state.sequence[state.currentTaskIndex])) state.currentTaskIndex++;
+    while (state.currentTaskIndex < state.sequence.length && taskSettled(state.sequence[state.currentTaskIndex])) state.currentTaskIndex++;
     saveState();
     sendToSheets({
       action: "task_skipped",
@@ -1439,16 +2288,19 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
     });
     document.getElementById("completion-message").style.display = "block";
   }
-  function pauseStudy() {
+  function pauseStudy(pauseType = "manual") {
     state.pauseStart = Date.now();
-    state.lastPauseType = "manual";
-    if (taskTimer.startTime) taskTimer.pause("manual");
-    if (sessionTimer.startTime) sessionTimer.pause("manual");
+    state.lastPauseType = pauseType;
+    [taskTimer, sessionTimer].forEach((timer) => {
+      if (!timer.startTime) return;
+      if (timer.pauseReason === "inactivity") timer.resume();
+      timer.pause("manual");
+    });
     document.getElementById("pause-modal").classList.add("active");
     document.getElementById("pause-fab").classList.remove("active");
     const { total, completed } = getTaskCounts();
     const progress = total ? `${completed}/${total}` : "";
-    sendToSheets({ action: "session_paused", sessionCode: state.sessionCode, progress, pauseType: "manual", timestamp: (/* @__PURE__ */ new Date()).toISOString() });
+    sendToSheets({ action: "session_paused", sessionCode: state.sessionCode, progress, pauseType, timestamp: (/* @__PURE__ */ new Date()).toISOString() });
     saveState();
   }
   function resumeStudy() {
@@ -1459,6 +2311,7 @@ window.db.collection('sessions').doc(state.sessionCode).set(payload, { merge: tr
       const { total, completed } = getTaskCounts();
       const progress = total ? `${completed}/${total}` : "";
       sendToSheets({ action: "session_resumed", sessionCode: state.sessionCode, progress, pausedSeconds: Math.round(pausedMs / 1e3), pauseType: state.lastPauseType, timestamp: (/* @__PURE__ */ new Date()).toISOString() });
+      if (state.lastPauseType === "inactivity") inactivityEvent("inactivity_resumed", { via: "pause", pausedSeconds: Math.round(pausedMs / 1e3) });
     }
     if (taskTimer.startTime) taskTimer.resume();
     if (sessionTimer.startTime) sessionTimer.resume();
@@ -1512,22 +2365,73 @@ function stopRecordingTimer() { /* no-op: legacy hook removed */ }
       fallbackCopy(code, btnEl);
     }
   }
-  function generateRecoveryLink() {
-    if (!state.sessionCode) return "";
-    const token = btoa(state.sessionCode);
-    return `${location.origin}${location.pathname}?recover=${encodeURIComponent(token)}`;
+
+/* >>> RECOVERY_LINKS: START >>> */
+// Recovery links carry a one-time token issued by server.js, not the session code.
+// The server stores only a hash of the token, expires it and marks it used on first
+// redeem; the study team can revoke a session's tokens. Without a study server the
+// button copies the session code instead.
+async function generateRecoveryLink() {
+  if (!state.sessionCode || !CONFIG.STUDY_SERVER_URL) return "";
+  const res = await fetch(`${CONFIG.STUDY_SERVER_URL}/recovery/issue`, {
+    method: "POST",
+    headers: { "Content-Type": "text/plain;charset=utf-8" },
+    body: JSON.stringify({ sessionCode: state.sessionCode, idToken: await currentIdToken() })
+  });
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || `HTTP ${res.status}`);
+  return `${location.origin}${location.pathname}?recover=${encodeURIComponent(data.token)}`;
+}
+
+async function copyRecoveryLink(btnEl) {
+  let link = "";
+  try {
+    link = await generateRecoveryLink();
+  } catch (err) {
+    console.warn("Could not issue a recovery link; copying the session code instead", err);
   }
-  function copyRecoveryLink(btnEl) {
-    const link = generateRecoveryLink();
-    if (!link) return;
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      navigator.clipboard.writeText(link).then(() => {
-        showCopyFeedback(btnEl);
-      }).catch(() => fallbackCopy(link, btnEl));
-    } else {
-      fallbackCopy(link, btnEl);
+  const text = link || state.sessionCode;
+  if (!text) return;
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text).then(() => {
+      showCopyFeedback(btnEl);
+    }).catch(() => fallbackCopy(text, btnEl));
+  } else {
+    fallbackCopy(text, btnEl);
+  }
+}
+
+async function checkRecoveryLink() {
+  const params = new URLSearchParams(location.search);
+  const token = params.get("recover");
+  if (!token) return;
+  // Drop the token from the address bar (and history) before anything else
+  try {
+    window.history.replaceState({}, "", location.origin + location.pathname);
+  } catch (e) {
+  }
+  if (!CONFIG.STUDY_SERVER_URL) {
+    alert("This recovery link can't be used right now. Please enter your session code instead.");
+    return;
+  }
+  try {
+    const res = await fetch(`${CONFIG.STUDY_SERVER_URL}/recovery/redeem`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=utf-8" },
+      body: JSON.stringify({ token, idToken: await currentIdToken() })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      alert(`${data.error || "This recovery link is no longer valid"}. Please enter your session code instead.`);
+      return;
     }
+    await resumeSession(data.sessionCode);
+  } catch (e) {
+    console.warn("Invalid recovery link", e);
+    alert("We couldn't check this recovery link. Please enter your session code instead.");
   }
+}
+/* <<< RECOVERY_LINKS: END <<< */
   function copyASLCTCode(btnEl) {
     const code = CONFIG.ASLCT_ACCESS_CODE;
     if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -1587,7 +2491,7 @@ function stopRecordingTimer() { /* no-op: legacy hook removed */ }
   };
   document.getElementById("pre-skip-help-btn").onclick = () => {
     document.getElementById("pre-skip-modal").classList.remove("active");
-    openSupportEmail(pendingSkipTask);
+    openReportProblem(pendingSkipTask);
     sendToSheets({ action: "help_requested", sessionCode: state.sessionCode || "none", task: getStandardTaskName(pendingSkipTask), timestamp: (/* @__PURE__ */ new Date()).toISOString() });
   };
   document.getElementById("pre-skip-break-btn").onclick = () => {
@@ -1599,7 +2503,8 @@ function stopRecordingTimer() { /* no-op: legacy hook removed */ }
     document.getElementById("skip-modal").classList.add("active");
   };
   document.getElementById("skip-help-btn").onclick = () => {
-    openSupportEmail(pendingSkipTask);
+    document.getElementById("skip-modal").classList.remove("active");
+    openReportProblem(pendingSkipTask);
     sendToSheets({ action: "help_requested", sessionCode: state.sessionCode || "none", task: getStandardTaskName(pendingSkipTask), timestamp: (/* @__PURE__ */ new Date()).toISOString() });
   };
   document.getElementById("skip-try-btn").onclick = () => {
@@ -1613,12 +2518,29 @@ function stopRecordingTimer() { /* no-op: legacy hook removed */ }
     document.getElementById("skip-modal").classList.remove("active");
     await skipTaskProceed(pendingSkipTask);
   };
+/* >>> DIAGNOSTIC_REPORT: START >>> */
+// The last report from the /diagnostics page (diagnostics.js), if it's recent
+var DIAGNOSTIC_REPORT_KEY = "diagnostic_report";
+var DIAGNOSTIC_REPORT_MAX_AGE_MS = 7 * 24 * 60 * 60e3;
+
+function recentDiagnosticReport() {
+  try {
+    const report = JSON.parse(localStorage.getItem(DIAGNOSTIC_REPORT_KEY) || "null");
+    if (!report || Date.now() - new Date(report.createdAt).getTime() > DIAGNOSTIC_REPORT_MAX_AGE_MS) return null;
+    return report;
+  } catch (e) {
+    return null;
+  }
+}
+/* <<< DIAGNOSTIC_REPORT: END <<< */
   function openSupportEmail() {
     const subject = encodeURIComponent("Technical Support Request - Spatial Cognition Study");
+    const report = recentDiagnosticReport();
     const body = encodeURIComponent(`Hi Action Brain Lab,
 
 I need technical support with the spatial cognition study.
 
+Diagnostic report ID: ${report ? report.id : `(optional: run the device check at ${location.origin}/diagnostics)`}
 Device/Browser: 
 Issue description: 
 What I've tried: 
@@ -1645,65 +2567,565 @@ Thank you!`);
     }
     return hash;
   }
-  function submitASLCTIssue() {
-    const el = document.getElementById("aslct-issue-text");
-    if (!el) return;
-    const message = el.value.trim();
-    if (!message) return;
-    sendToSheets({
-      action: "aslct_issue",
-      sessionCode: state.sessionCode || "none",
-      participantID: state.participantID || "none",
-      message,
-      timestamp: (/* @__PURE__ */ new Date()).toISOString()
-    });
-    el.value = "";
-    alert("Issue submitted. Thank you!");
+/* >>> SUPPORT_TICKETS: START >>> */
+// "Report a problem" dialog (#report-modal), reachable from every task screen.
+// A ticket carries what support would otherwise have to ask for: the task, the
+// device, the last few client events and, if the participant agrees, a
+// screenshot of this tab. It's saved to support_tickets/{ticketNumber} and also
+// sent as a support_ticket event, which Apps Script lists on the Support
+// Tickets sheet. The participant gets the ticket number to quote by email.
+var SUPPORT_RECENT_EVENTS = 20;
+var SUPPORT_SAVE_TIMEOUT_MS = 15e3;
+var SCREENSHOT_MAX_WIDTH = 1280;
+var reportTaskCode = "";
+
+function supportTicketNumber() {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I to misread
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  return "ST-" + Array.from(bytes, (b) => chars[b % chars.length]).join("");
+}
+
+function reportDeviceInfo() {
+  const checks = (state.preflight && state.preflight.checks) || {};
+  return {
+    userAgent: navigator.userAgent,
+    deviceType: state.isMobile ? "mobile/tablet" : "desktop",
+    screen: `${window.screen.width}x${window.screen.height}`,
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    online: navigator.onLine,
+    preflightFailed: Object.keys(checks).filter((id) => checks[id].verdict === "fail")
+  };
+}
+
+function openReportProblem(taskCode) {
+  const active = document.querySelector(".screen.active");
+  const onTask = active && ["task-screen", "recording-screen"].includes(active.id);
+  reportTaskCode = taskCode || (onTask ? state.sequence[state.currentTaskIndex] || "" : "");
+  document.getElementById("report-task").textContent = reportTaskCode ? `Task: ${getStandardTaskName(reportTaskCode)}` : "";
+  document.getElementById("report-message").value = "";
+  document.getElementById("report-screenshot").checked = false;
+  document.getElementById("report-screenshot-option").hidden = OFFLINE_LAB || !(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+  document.getElementById("report-status").textContent = "";
+  document.getElementById("report-form").hidden = false;
+  document.getElementById("report-done").hidden = true;
+  document.getElementById("report-modal").classList.add("active");
+  document.getElementById("report-category").focus();
+}
+
+function closeReportProblem() {
+  document.getElementById("report-modal").classList.remove("active");
+}
+
+// One frame of this tab through screen capture, which the browser asks about
+// first. Must be called straight from the click. null if declined or unsupported.
+async function captureScreenshot() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) return null;
+  const modal = document.getElementById("report-modal");
+  modal.classList.remove("active"); // keep the dialog out of the picture
+  let stream = null;
+  try {
+    stream = await navigator.mediaDevices.getDisplayMedia({ video: { displaySurface: "browser" }, audio: false, preferCurrentTab: true });
+    const video = document.createElement("video");
+    video.muted = true;
+    video.srcObject = stream;
+    await video.play();
+    await new Promise((resolve) => setTimeout(resolve, 300)); // let the share prompt close
+    const scale = Math.min(1, SCREENSHOT_MAX_WIDTH / video.videoWidth);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+    return await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.7));
+  } catch (err) {
+    console.warn("Screenshot not captured:", err);
+    return null;
+  } finally {
+    if (stream) stream.getTracks().forEach((t) => t.stop());
+    modal.classList.add("active");
+  }
+}
+
+function beforeDeadline(promise, deadline, what) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${what} timed out`)), Math.max(0, deadline - Date.now())))
+  ]);
+}
+
+// Upload the screenshot and resolve to its Storage path, or "" if it didn't make
+// it in time. A late upload is cancelled, so a ticket never names a screenshot
+// that isn't there.
+async function uploadSupportScreenshot(uid, ticketNumber, screenshot, deadline) {
+  const path = window.storagePaths.supportScreenshotPath(uid, ticketNumber);
+  const task = window.storage.ref().child(path).put(screenshot, { contentType: "image/jpeg" });
+  try {
+    await beforeDeadline(task, deadline, "Screenshot upload");
+    return path;
+  } catch (err) {
+    task.cancel();
+    console.warn("Screenshot upload failed:", err);
+    return "";
+  }
+}
+
+// The anonymous uid tickets are saved under, or "" when they only go to the Sheet
+async function supportTicketUid(deadline) {
+  if (OFFLINE_LAB || !window.db) return "";
+  try {
+    return (await beforeDeadline(window.authReady, deadline, "Sign-in")) || "";
+  } catch (err) {
+    console.warn("Support ticket not saved to Firestore:", err);
+    return "";
   }
+}
+
+async function submitProblemReport() {
+  const messageEl = document.getElementById("report-message");
+  const status = document.getElementById("report-status");
+  const message = messageEl.value.trim();
+  if (!message) {
+    status.textContent = "Please tell us what happened.";
+    messageEl.focus();
+    return;
+  }
+  const btn = document.getElementById("report-submit-btn");
+  btn.disabled = true;
+  const wantsScreenshot = document.getElementById("report-screenshot").checked;
+  const screenshot = wantsScreenshot ? captureScreenshot() : Promise.resolve(null);
+  const active = document.querySelector(".screen.active");
+  const ticket = {
+    ticketNumber: supportTicketNumber(),
+    sessionCode: state.sessionCode || "none",
+    participantID: state.participantID || "none",
+    category: document.getElementById("report-category").value,
+    message,
+    task: reportTaskCode ? getStandardTaskName(reportTaskCode) : "",
+    screen: active ? active.id : "",
+    device: reportDeviceInfo(),
+    recentEvents: window.eventQueue ? window.eventQueue.recent(SUPPORT_RECENT_EVENTS) : [],
+    status: "open",
+    screenshotPath: "",
+    timestamp: (/* @__PURE__ */ new Date()).toISOString()
+  };
+  const image = await screenshot;
+  status.textContent = "Sending\u2026";
+  const deadline = Date.now() + SUPPORT_SAVE_TIMEOUT_MS;
+  const uid = await supportTicketUid(deadline);
+  // A copy with the outcome of the upload, written to Firestore and the Sheet alike
+  const saved = {
+    ...ticket,
+    screenshotPath: uid && image && window.storage ? await uploadSupportScreenshot(uid, ticket.ticketNumber, image, deadline) : ""
+  };
+  if (uid) {
+    try {
+      // Can't be cancelled; if it lands after the deadline it still matches the Sheet row
+      await beforeDeadline(window.db.collection("support_tickets").doc(saved.ticketNumber).set({
+        ...saved,
+        uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      }), deadline, "Support ticket save");
+    } catch (err) {
+      console.warn("Support ticket not confirmed in Firestore:", err);
+    }
+  }
+  // The event reaches the Support Tickets sheet even when Firestore fails
+  await sendToSheets({ action: "support_ticket", ...saved, deviceType: saved.device.deviceType });
+  document.getElementById("report-ticket").textContent = saved.ticketNumber;
+  document.getElementById("report-done-note").textContent = wantsScreenshot && !saved.screenshotPath
+    ? "The screenshot could not be included, but your report was sent."
+    : "";
+  document.getElementById("report-form").hidden = true;
+  document.getElementById("report-done").hidden = false;
+  status.textContent = "";
+  btn.disabled = false;
+}
+/* <<< SUPPORT_TICKETS: END <<< */
 /* >>> LOGGING_WRAPPER: START */
-/** Use global Firestore logger if available; fallback to Sheets only if configured. */
+/** Post one event to Apps Script; throws so the event queue can retry. */
+async function postToSheets(payload) {
+  const res = await fetch(CONFIG.SHEETS_URL, {
+    method: 'POST',
+    mode: 'cors',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify({
+      ...payload,
+      userAgent: navigator.userAgent,
+      deviceType: payload.deviceType || (state.isMobile ? 'mobile/tablet' : 'desktop')
+    })
+  });
+  if (!res.ok) throw new Error(`Sheets HTTP ${res.status}`);
+  const data = await res.json().catch(() => ({}));
+  if (data.success === false) {
+    const err = new Error(data.error || 'Sheets rejected event');
+    err.code = 'invalid-argument';
+    throw err;
+  }
+}
+
+/** Queue through the global Firestore logger if available; Sheets is the transport only if configured and Firestore isn't. */
 async function sendToSheets(payload) {
+  if (window.eventQueue && !window.eventQueue.hasTransport() && CONFIG.SHEETS_URL) {
+    window.eventQueue.setTransport(postToSheets);
+  }
   try {
     if (window.sendToSheets && window.sendToSheets !== sendToSheets) {
-      return await window.sendToSheets(payload); // Firestore shim in index.html
+      return await window.sendToSheets(payload); // event queue shim in index.html
     }
   } catch (e) {
     console.warn('window.sendToSheets failed:', e);
   }
-  // Optional fallback to Google Sheets if you later add CONFIG.SHEETS_URL
   if (!CONFIG.SHEETS_URL) return;
-  const body = {
-    ...payload,
-    userAgent: navigator.userAgent,
-    deviceType: payload.deviceType || (state.isMobile ? 'mobile/tablet' : 'desktop')
-  };
   try {
-    await fetch(CONFIG.SHEETS_URL, {
-      method: 'POST',
-      mode: 'no-cors',
-      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-      body: JSON.stringify(body)
-    });
+    await postToSheets(payload);
   } catch (err) {
     console.error('Sheets fallback error:', err);
   }
 }
 /* <<< LOGGING_WRAPPER: END */
 
+/* >>> OFFLINE_LAB: START >>> */
+// In-lab sessions without internet: events (including save_state snapshots) and
+// recordings go to server.js on the lab network instead of Firebase, and
+// `npm run sync` replays them once the laptop is back online.
+var OFFLINE_LAB = !!(CONFIG.OFFLINE_LAB && CONFIG.STUDY_SERVER_URL);
+
+async function postToLocalServer(payload) {
+  const res = await fetch(`${CONFIG.STUDY_SERVER_URL}/local/events`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Lab-Key": CONFIG.LOCAL_LAB_KEY || "" },
+    body: JSON.stringify({ ...payload, userAgent: navigator.userAgent })
+  });
+  if (res.status === 403) {
+    const err = new Error("Local server rejected the lab key");
+    err.code = "permission-denied";
+    throw err;
+  }
+  if (res.status === 400) {
+    const err = new Error("Local server rejected event");
+    err.code = "invalid-argument";
+    throw err;
+  }
+  if (!res.ok) throw new Error(`Local server HTTP ${res.status}`);
+}
+
+if (OFFLINE_LAB && window.eventQueue) window.eventQueue.setTransport(postToLocalServer, { local: true });
+/* <<< OFFLINE_LAB: END <<< */
+
+/* >>> UPLOAD_QUEUE: START >>> */
+// Recordings go through window.uploadQueue (uploadQueue.js), which keeps each clip
+// in IndexedDB until its upload is acknowledged and resumes uploads after a reload.
+// The queue uploads through window.uploadBackends (uploadBackends.js), trying the
+// backends in CONFIG.UPLOAD_BACKENDS order. Here: backend settings, the
+// image_recorded_and_uploaded event, the pending-uploads line in the session
+// widget, and holding the image-description task open until its clips are uploaded.
+if (window.uploadBackends) {
+  window.uploadBackends.configure({
+    order: OFFLINE_LAB ? ["local"] : CONFIG.UPLOAD_BACKENDS,
+    cloudinary: { cloud: CLOUDINARY_CLOUD, preset: CLOUDINARY_PRESET, folder: CLOUDINARY_FOLDER },
+    sheetsUrl: CONFIG.SHEETS_URL || "",
+    serverUrl: CONFIG.STUDY_SERVER_URL,
+    labKey: CONFIG.LOCAL_LAB_KEY || ""
+  });
+}
+
+function onRecordingUploaded(entry, result) {
+  const image = entry.sessionCode === state.sessionCode && entry.task === "ID" && Array.isArray(state.recording.images)
+    ? state.recording.images[entry.imageNumber - 1]
+    : null;
+  if (image && image.uploadId === entry.id) {
+    image.status = "uploaded";
+    renderRecordingImageStatus();
+  }
+  return sendToSheets({
+    action: "image_recorded_and_uploaded",
+    sessionCode: entry.sessionCode,
+    imageNumber: entry.imageNumber,
+    stimulusId: entry.stimulusId || "",
+    fileUrl: result.url,
+    filename: entry.fileName,
+    uploadMethod: result.backend,
+    recordingType: entry.recordingType || "video",
+    mimeType: entry.type,
+    durationSec: entry.durationSec != null ? Math.round(entry.durationSec) : "",
+    attempts: entry.recordingAttempts || "",
+    uploadId: entry.id,
+    queuedAt: new Date(entry.createdAt).toISOString(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Paused clips and clips the participant chose to finish without don't hold the task
+var RECORDING_UPLOAD_PENDING = ["queued", "uploading"];
+
+function recordingUploads(statuses) {
+  if (!window.uploadQueue || !state.sessionCode) return [];
+  return window.uploadQueue.list({ sessionCode: state.sessionCode, task: "ID" }).filter((u) => statuses.includes(u.status));
+}
+
+// Uploads the backend rejected; they stay on the device until retried
+function unresolvedFailedUploads() {
+  const waived = state.recording.waivedUploads || [];
+  return recordingUploads(["failed"]).filter((u) => !waived.includes(u.id));
+}
+
+// completeTask("ID") while a clip is still only on this device: remember that the
+// participant is done and complete the task once the last upload lands. A failed
+// upload won't land by itself, so the participant chooses to retry it or go on.
+function holdForRecordingUploads() {
+  const failed = unresolvedFailedUploads();
+  if (failed.length) {
+    showFailedUploads(failed);
+    return true;
+  }
+  if (!recordingUploads(RECORDING_UPLOAD_PENDING).length) return false;
+  state.recording.finishWhenUploaded = true;
+  saveState();
+  const status = document.getElementById("recording-status");
+  if (status) {
+    status.textContent = "Your recordings are saved on this device and still uploading. The task will finish on its own when they're done.";
+    status.className = "recording-status recording";
+  }
+  return true;
+}
+
+function showFailedUploads(failed) {
+  const reason = failed[0].lastError ? ` (${failed[0].lastError})` : "";
+  document.getElementById("upload-failed-detail").textContent = failed.length === 1
+    ? `Image ${failed[0].imageNumber} could not be uploaded${reason}.`
+    : `${failed.length} recordings could not be uploaded${reason}.`;
+  document.getElementById("upload-failed-modal").classList.add("active");
+}
+
+function retryFailedUploads() {
+  document.getElementById("upload-failed-modal").classList.remove("active");
+  unresolvedFailedUploads().forEach((u) => window.uploadQueue.resume(u.id));
+  completeTask("ID");
+}
+
+function continueWithoutFailedUploads() {
+  document.getElementById("upload-failed-modal").classList.remove("active");
+  const failed = unresolvedFailedUploads();
+  state.recording.waivedUploads = [...(state.recording.waivedUploads || []), ...failed.map((u) => u.id)];
+  sendToSheets({
+    action: "recording_upload_waived",
+    sessionCode: state.sessionCode,
+    imageNumbers: failed.map((u) => u.imageNumber).join(","),
+    error: failed[0] ? failed[0].lastError : "",
+    timestamp: new Date().toISOString()
+  });
+  completeTask("ID");
+}
+
+function updatePendingUploads(uploads) {
+  const mine = uploads.filter((u) => u.sessionCode === state.sessionCode);
+  const detail = document.getElementById("widget-uploads-detail");
+  const value = document.getElementById("widget-uploads");
+  const toggle = document.getElementById("widget-uploads-toggle");
+  if (detail) detail.hidden = !mine.length;
+  if (mine.length && value && toggle) {
+    const current = mine.find((u) => u.status === "uploading");
+    const stuck = mine.filter((u) => u.status === "paused" || u.status === "failed");
+    value.textContent = current
+      ? `${mine.length} pending, ${Math.round((current.bytesUploaded / current.size) * 100)}%`
+      : stuck.length === mine.length ? `${mine.length} paused` : `${mine.length} waiting`;
+    toggle.textContent = stuck.length === mine.length ? "Resume" : "Pause";
+  }
+  if (state.recording && state.recording.finishWhenUploaded && !mine.some((u) => u.task === "ID" && RECORDING_UPLOAD_PENDING.includes(u.status))) {
+    state.recording.finishWhenUploaded = false;
+    if (!state.completedTasks.includes("ID") && !state.skippedTasks.includes("ID")) completeTask("ID");
+  }
+}
+
+function toggleUploads() {
+  const mine = window.uploadQueue.list({ sessionCode: state.sessionCode });
+  const allStopped = mine.every((u) => u.status === "paused" || u.status === "failed");
+  mine.forEach((u) => (allStopped ? window.uploadQueue.resume(u.id) : window.uploadQueue.pause(u.id)));
+}
+
+if (window.uploadQueue && window.uploadBackends) {
+  window.uploadQueue.setUploader((entry, ctx) => window.uploadBackends.upload(entry.file, entry, ctx.onProgress, { ...ctx, resume: entry.resume }), { local: OFFLINE_LAB });
+  window.uploadQueue.onUploaded(onRecordingUploaded);
+  window.uploadQueue.onChange(updatePendingUploads);
+}
+/* <<< UPLOAD_QUEUE: END <<< */
+
+/* >>> RECORDING_FLOW: START >>> */
+// The image-description task records its images one after the other. Which
+// images, and in what order, comes from the task's stimulusSet in tasks.json
+// (chooseStimuli) and is fixed in state.stimuli when the session is created. A
+// counterbalanced set takes its row from state.stimulusAssignment (assignStimulusRow).
+// Each image keeps its status (pending, recorded, uploading, uploaded or
+// skipped), how many times recording was started, and the length of the clip
+// that was kept, in state.recording.images. A resumed session continues at the
+// first image still to do, and image_recorded_and_uploaded reports the stimulus
+// id, duration and attempts.
+var recorderReset = null; // set by msRecorderInit()
+
+// Used when the recording task in tasks.json has no stimulusSet
+var DEFAULT_STIMULUS_SET = {
+  id: "default",
+  order: "fixed",
+  images: [
+    { id: "image1", src: CONFIG.IMAGE_1, alt: "Image to describe" },
+    { id: "image2", src: CONFIG.IMAGE_2, alt: "Image to describe" }
+  ]
+};
+
+function recordingStimulusSet() {
+  return (TASKS.ID && TASKS.ID.stimulusSet) || DEFAULT_STIMULUS_SET;
+}
+
+function recordingStimuli() {
+  if (!state.stimuli || !Array.isArray(state.stimuli.items) || !state.stimuli.items.length) {
+    const seed = state.sequenceIndex >= 0 ? state.sequenceIndex : Math.abs(hashCode(state.sessionCode || ""));
+    const row = state.stimulusAssignment ? state.stimulusAssignment.row : seed;
+    state.stimuli = chooseStimuli(recordingStimulusSet(), { seed, row });
+  }
+  return state.stimuli.items;
+}
+
+function recordingImages() {
+  const stimuli = recordingStimuli();
+  if (!Array.isArray(state.recording.images) || state.recording.images.length !== stimuli.length) {
+    state.recording.images = stimuli.map(() => ({ status: "pending", attempts: 0, durationSec: null, uploadId: null }));
+  }
+  state.recording.images.forEach((img, i) => { img.stimulusId = stimuli[i].id; });
+  return state.recording.images;
+}
+
+function currentRecordingImage() {
+  return recordingImages()[state.recording.currentImage || 0];
+}
+
+function nextRecordingImage() {
+  return recordingImages().findIndex((img) => img.status === "pending" || img.status === "recorded");
+}
+
+function renderRecordingImageStatus() {
+  const el = document.getElementById("rec-image-status");
+  if (!el) return;
+  const labels = { pending: "not recorded yet", recorded: "recorded, not uploaded", uploading: "uploading", uploaded: "uploaded", skipped: "skipped" };
+  el.textContent = recordingImages()
+    .map((img, i) => `Image ${i + 1}: ${labels[img.status]}${img.attempts > 1 ? ` (${img.attempts} attempts)` : ""}`)
+    .join(" \u00B7 ");
+}
+
+// Every image is uploading, uploaded or skipped. completeTask("ID") still waits
+// for the uploads to land; skipping every image skips the task.
+function finishRecordingTask() {
+  if (recordingImages().every((img) => img.status === "skipped")) skipTask("ID");
+  else completeTask("ID");
+}
+
+/** Close the current image with `status` and move on to the next one, or finish the task. */
+function finishRecordingImage(status, details = {}) {
+  const images = recordingImages();
+  Object.assign(images[state.recording.currentImage || 0], details, { status });
+  state.recording.recordingDuration = images
+    .filter((img) => img.status !== "skipped")
+    .reduce((sum, img) => sum + (img.durationSec || 0), 0) * 1e3;
+  const next = nextRecordingImage();
+  if (next === -1) {
+    finishRecordingTask();
+    return;
+  }
+  state.recording.currentImage = next;
+  saveState();
+  updateRecordingImage(state);
+  if (recorderReset) recorderReset();
+  else renderRecordingImageStatus();
+}
+
+// In-page yes/no questions (never confirm(), which freezes the page and the
+// recorder). Resolves with the value of the button the participant picks.
+function chooseInModal(modalId, choices) {
+  const modal = document.getElementById(modalId);
+  modal.classList.add("active");
+  return new Promise((resolve) => {
+    Object.keys(choices).forEach((buttonId) => {
+      document.getElementById(buttonId).onclick = () => {
+        modal.classList.remove("active");
+        resolve(choices[buttonId]);
+      };
+    });
+  });
+}
+
+async function skipRecordingImage() {
+  const index = state.recording.currentImage || 0;
+  const imageNumber = index + 1;
+  document.getElementById("skip-image-number").textContent = String(imageNumber);
+  const skip = await chooseInModal("skip-image-modal", { "skip-image-confirm-btn": true, "skip-image-cancel-btn": false });
+  // The image may have been uploaded or the task left while the question was open
+  const status = currentRecordingImage().status;
+  if (!skip || (state.recording.currentImage || 0) !== index || (status !== "pending" && status !== "recorded")) return;
+  sendToSheets({
+    action: "image_skipped",
+    sessionCode: state.sessionCode,
+    imageNumber,
+    stimulusId: currentRecordingImage().stimulusId,
+    attempts: currentRecordingImage().attempts,
+    timestamp: new Date().toISOString()
+  });
+  finishRecordingImage("skipped");
+}
+/* <<< RECORDING_FLOW: END <<< */
+
+  // Best recording format for this browser; also used by the pre-flight check
+  function pickMime(mode) {
+    const ua = navigator.userAgent.toLowerCase();
+    const isSafari = ua.includes("safari") && !ua.includes("chrome");
+    const videoListSafariFirst = [
+      "video/mp4;codecs=avc1,mp4a",
+      "video/mp4",
+      "video/webm;codecs=vp9,opus",
+      "video/webm;codecs=vp8,opus",
+      "video/webm"
+    ];
+    const videoListChromeFirst = [
+      "video/webm;codecs=vp9,opus",
+      "video/webm;codecs=vp8,opus",
+      "video/webm",
+      "video/mp4;codecs=avc1,mp4a",
+      "video/mp4"
+    ];
+    const audioListSafariFirst = [
+      "audio/mp4;codecs=mp4a.40.2",
+      "audio/mp4",
+      "audio/webm;codecs=opus",
+      "audio/webm"
+    ];
+    const audioListChromeFirst = [
+      "audio/webm;codecs=opus",
+      "audio/webm",
+      "audio/mp4;codecs=mp4a.40.2",
+      "audio/mp4"
+    ];
+    const list = mode === "audio" ? isSafari ? audioListSafariFirst : audioListChromeFirst : isSafari ? videoListSafariFirst : videoListChromeFirst;
+    for (const t of list) {
+      if (window.MediaRecorder && MediaRecorder.isTypeSupported && MediaRecorder.isTypeSupported(t)) {
+        return t;
+      }
+    }
+    return "";
+  }
   function msRecorderInit() {
     const $ = (s) => document.querySelector(s);
     const btnStart = $("#rec-start");
     const btnStop = $("#rec-stop");
     const btnUpload = $("#rec-upload");
     /* >>> UPLOAD_BACKENDS_DETECT: START >>> */
-const hasFirebaseUpload = !!(window.storage && typeof window.uploadToFirebaseStorage === "function");
-const hasCloudinary = !!(CLOUDINARY_CLOUD && CLOUDINARY_PRESET);
+const canUpload = !!(window.uploadQueue && window.uploadBackends && window.uploadBackends.available().length);
 
-if (!hasFirebaseUpload && !hasCloudinary && btnUpload) {
+if (!canUpload && btnUpload) {
   btnUpload.style.display = "none"; // hide Upload if nothing configured
 }
 /* <<< UPLOAD_BACKENDS_DETECT: END <<< */
 
+    const btnRetake = $("#rec-retake");
+    const btnSkipImage = $("#rec-skip-image");
+    const countdownEl = $("#rec-countdown");
+    const timerEl = $("#rec-timer");
     const statusEl = $("#rec-status");
     const progressEl = $("#rec-progress");
     const videoEl = $("#rec-preview-video");
@@ -1714,6 +3136,9 @@ if (!hasFirebaseUpload && !hasCloudinary && btnUpload) {
     let chunks = [];
     let recordedFile = null;
     let chosenMime = "";
+    let recordingStartedAt = 0;
+    let timerInterval = null;
+    let stoppedAtLimit = false;
     let currentMode = modeInputs.find((r) => r.checked)?.value || "video";
     modeInputs.forEach((r) => r.addEventListener("change", () => {
       currentMode = modeInputs.find((x) => x.checked)?.value || "video";
@@ -1723,48 +3148,16 @@ if (!hasFirebaseUpload && !hasCloudinary && btnUpload) {
       audioEl.src = "";
       recordedFile = null;
       btnUpload.disabled = true;
+      btnRetake.hidden = true;
       statusEl.textContent = `Mode set to ${currentMode === "audio" ? "Audio only" : "Video + audio"}`;
     }));
-    function pickMime(mode) {
-      const ua = navigator.userAgent.toLowerCase();
-      const isSafari = ua.includes("safari") && !ua.includes("chrome");
-      const videoListSafariFirst = [
-        "video/mp4;codecs=avc1,mp4a",
-        "video/mp4",
-        "video/webm;codecs=vp9,opus",
-        "video/webm;codecs=vp8,opus",
-        "video/webm"
-      ];
-      const videoListChromeFirst = [
-        "video/webm;codecs=vp9,opus",
-        "video/webm;codecs=vp8,opus",
-        "video/webm",
-        "video/mp4;codecs=avc1,mp4a",
-        "video/mp4"
-      ];
-      const audioListSafariFirst = [
-        "audio/mp4;codecs=mp4a.40.2",
-        "audio/mp4",
-        "audio/webm;codecs=opus",
-        "audio/webm"
-      ];
-      const audioListChromeFirst = [
-        "audio/webm;codecs=opus",
-        "audio/webm",
-        "audio/mp4;codecs=mp4a.40.2",
-        "audio/mp4"
-      ];
-      const list = mode === "audio" ? isSafari ? audioListSafariFirst : audioListChromeFirst : isSafari ? videoListSafariFirst : videoListChromeFirst;
-      for (const t of list) {
-        if (window.MediaRecorder && MediaRecorder.isTypeSupported && MediaRecorder.isTypeSupported(t)) {
-          return t;
-        }
-      }
-      return "";
-    }
     async function startRecording() {
       try {
         btnStart.disabled = true;
+        btnRetake.hidden = true;
+        btnSkipImage.disabled = true;
+        btnUpload.disabled = true;
+        recordedFile = null;
         statusEl.textContent = "Requesting media...";
         const constraints = currentMode === "audio" ? { audio: { echoCancellation: true, noiseSuppression: true }, video: false } : {
           video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: "user" },
@@ -1785,15 +3178,22 @@ if (!hasFirebaseUpload && !hasCloudinary && btnUpload) {
           if (e.data && e.data.size) chunks.push(e.data);
         };
         mediaRecorder.onstart = () => {
+          recordingStartedAt = performance.now();
+          startElapsedTimer();
           statusEl.textContent = `Recording... ${chosenMime || "(default)"}`;
         };
         mediaRecorder.onstop = handleStop;
+        statusEl.textContent = "Get ready...";
+        await runCountdown();
+        currentRecordingImage().attempts += 1;
+        stoppedAtLimit = false;
         mediaRecorder.start();
         btnStop.disabled = false;
       } catch (err) {
         console.error(err);
         statusEl.textContent = "Failed to start recording. Check camera and mic permissions.";
         btnStart.disabled = false;
+        btnSkipImage.disabled = false;
       }
     }
     function stopRecording() {
@@ -1809,17 +3209,21 @@ if (!hasFirebaseUpload && !hasCloudinary && btnUpload) {
     function cleanupStream() {
       if (mediaStream) {
         mediaStream.getTracks().forEach((t) => t.stop());
+        if (mediaStream === msLiveStream) msLiveStream = null; // stopped; the next take needs a fresh one
         mediaStream = null;
       }
     }
     function handleStop() {
+      stopElapsedTimer();
+      const durationSec = recordingStartedAt ? (performance.now() - recordingStartedAt) / 1e3 : null;
+      recordingStartedAt = 0;
       try {
         const isAudio = currentMode === "audio";
         const type = chosenMime || (isAudio ? "audio/webm" : "video/webm");
         let ext = "webm";
         if (type.includes("mp4")) ext = isAudio ? "m4a" : "mp4";
         const blob = new Blob(chunks, { type });
-        if (blob.size > RECORDING_BYTES_LIMIT) {
+        if (blob.size >= RECORDING_BYTES_LIMIT) {
           statusEl.textContent = `Recording is ${Math.round(blob.size / 1024 / 1024)} MB, over limit of ${Math.round(RECORDING_BYTES_LIMIT / 1024 / 1024)} MB. Please record a shorter clip.`;
           recordedFile = null;
           btnUpload.disabled = true;
@@ -1847,125 +3251,211 @@ if (!hasFirebaseUpload && !hasCloudinary && btnUpload) {
         } else {
           audioEl.style.display = "none";
         }
-        statusEl.textContent = `Ready to upload, ${Math.round(recordedFile.size / 1024 / 1024)} MB`;
-        btnUpload.disabled = false;
+        Object.assign(currentRecordingImage(), { status: "recorded", durationSec });
+        renderRecordingImageStatus();
+        btnRetake.hidden = false;
+        reviewRecording(recordedFile, durationSec);
       } catch (err) {
         console.error(err);
         statusEl.textContent = "Error finalizing recording.";
       } finally {
         btnStop.disabled = true;
         btnStart.disabled = false;
+        btnSkipImage.disabled = false;
         cleanupStream();
       }
     }
-    function uploadToCloudinary2(file) {
-      return new Promise((resolve, reject) => {
-        const url = `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD}/video/upload`;
-        const form = new FormData();
-        form.append("file", file, file.name);
-        form.append("upload_preset", CLOUDINARY_PRESET);
-        form.append("folder", CLOUDINARY_FOLDER);
-        const xhr = new XMLHttpRequest();
-        xhr.open("POST", url);
-        xhr.upload.onprogress = (e) => {
-          if (e.lengthComputable) {
-            const pct = Math.round(e.loaded / e.total * 100);
-            progressEl.style.display = "";
-            progressEl.value = pct;
-            statusEl.textContent = `Uploading... ${pct}%`;
-          }
-        };
-        xhr.onreadystatechange = () => {
-          if (xhr.readyState === 4) {
-            progressEl.style.display = "none";
-            if (xhr.status >= 200 && xhr.status < 300) {
-              try {
-                const res = JSON.parse(xhr.responseText);
-                statusEl.textContent = "Upload complete";
-                resolve(res);
-              } catch (err) {
-                statusEl.textContent = "Upload complete, parse error";
-                resolve({ raw: xhr.responseText });
-              }
-            } else {
-              statusEl.textContent = `Upload failed, status ${xhr.status}`;
-              reject(new Error(xhr.responseText || `HTTP ${xhr.status}`));
-            }
-          }
-        };
-        xhr.onerror = () => {
-          progressEl.style.display = "none";
-          statusEl.textContent = "Network error during upload";
-          reject(new Error("Network error"));
-        };
-        xhr.send(form);
-      });
-    }
-    btnStart.addEventListener("click", startRecording);
-    btnStop.addEventListener("click", stopRecording);
-/* >>> UPLOAD_CLICK_HANDLER: START >>> */
-btnUpload.addEventListener("click", async () => {
-  if (!recordedFile) return;
+/* >>> RECORDING_TIMER: START >>> */
+// A 3-2-1 countdown before each take, an elapsed timer against the limit, and
+// an automatic stop at CONFIG.RECORDING.maxDurationSec.
+const RECORDING_LIMITS = { countdownSec: 3, maxDurationSec: 90, ...CONFIG.RECORDING };
 
-  btnUpload.disabled = true;
-  progressEl.style.display = "";
-  progressEl.value = 0;
-  statusEl.textContent = "Preparing upload...";
-
-  try {
-    let uploadResult = null;
-    const imageNum = (state.recording?.currentImage ?? 0) + 1;
-    const recordingType = (currentMode === "audio") ? "audio" : "video";
+function formatClock(sec) {
+  const whole = Math.max(0, Math.floor(sec));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
 
-    if (hasFirebaseUpload) {
-      // Firebase Storage path (provided by videoUpload.js or index.html)
-      uploadResult = await window.uploadToFirebaseStorage(recordedFile, state.sessionCode, imageNum);
-      if (!uploadResult || !uploadResult.success) {
-        throw new Error(uploadResult?.error || "Firebase upload failed");
+function runCountdown() {
+  return new Promise((resolve) => {
+    let left = RECORDING_LIMITS.countdownSec;
+    if (!countdownEl || left <= 0) return resolve();
+    countdownEl.textContent = left;
+    countdownEl.hidden = false;
+    const tick = setInterval(() => {
+      left -= 1;
+      if (left > 0) {
+        countdownEl.textContent = left;
+        return;
       }
+      clearInterval(tick);
+      countdownEl.hidden = true;
+      resolve();
+    }, 1e3);
+  });
+}
 
-      await sendToSheets({
-        action: "image_recorded_and_uploaded",
-        sessionCode: state.sessionCode,
-        imageNumber: imageNum,
-        fileUrl: uploadResult.url,
-        filename: recordedFile.name,
-        uploadMethod: "firebase",
-        recordingType,
-        mimeType: recordedFile.type || ""
-      });
+function renderClock(elapsed) {
+  const max = RECORDING_LIMITS.maxDurationSec;
+  timerEl.textContent = max ? `${formatClock(elapsed)} / ${formatClock(max)}` : formatClock(elapsed);
+  timerEl.parentElement.classList.toggle("near-limit", !!max && elapsed > 0 && max - elapsed <= 10);
+}
 
-    } else if (hasCloudinary) {
-      // Cloudinary path
-      const res = await uploadToCloudinary2(recordedFile);
-      const cloudUrl = (res && (res.secure_url || res.url)) || "";
-      if (!cloudUrl) throw new Error("Cloudinary: no URL in response");
+function startElapsedTimer() {
+  const tick = () => {
+    const elapsed = (performance.now() - recordingStartedAt) / 1e3;
+    renderClock(elapsed);
+    if (RECORDING_LIMITS.maxDurationSec && elapsed >= RECORDING_LIMITS.maxDurationSec) {
+      stoppedAtLimit = true;
+      stopRecording();
+    }
+  };
+  tick();
+  timerInterval = setInterval(tick, 250);
+}
 
-      await sendToSheets({
-        action: "image_recorded_and_uploaded",
-        sessionCode: state.sessionCode,
-        imageNumber: imageNum,
-        fileUrl: cloudUrl,
-        filename: recordedFile.name,
-        uploadMethod: "cloudinary",
-        recordingType,
-        mimeType: recordedFile.type || ""
-      });
+function stopElapsedTimer() {
+  clearInterval(timerInterval);
+  timerInterval = null;
+}
+/* <<< RECORDING_TIMER: END <<< */
 
-    } else {
-      throw new Error("No upload backend configured");
+/* >>> RECORDING_QUALITY: START >>> */
+// Before a clip can be uploaded, recordingQuality.js checks its length, brightness
+// (video), loudness (audio) and, if enabled, whether anyone is in view. A problem
+// offers a re-record; every check is logged as a recording_quality event.
+// Lists the problems in the quality modal (chooseInModal). Resolves to true for
+// "record again".
+function askToRerecord(failures) {
+  const list = document.getElementById("quality-failures");
+  list.innerHTML = "";
+  failures.forEach((f) => {
+    const li = document.createElement("li");
+    li.textContent = f.message;
+    list.appendChild(li);
+  });
+  return chooseInModal("quality-modal", { "quality-rerecord-btn": true, "quality-keep-btn": false });
+}
+
+async function reviewRecording(file, durationSec) {
+  btnUpload.disabled = true;
+  let result = null;
+  if (window.recordingQuality) {
+    statusEl.textContent = "Checking recording...";
+    try {
+      result = await window.recordingQuality.check(file, { mode: currentMode, durationSec, thresholds: CONFIG.RECORDING_QUALITY });
+    } catch (err) {
+      console.warn("Recording quality check failed", err);
     }
+  }
+  if (file !== recordedFile) return; // re-recorded or switched mode meanwhile
+
+  const rerecord = !!result && !result.passed && await askToRerecord(result.failures);
+  if (file !== recordedFile) return;
+  if (result) {
+    sendToSheets({
+      action: "recording_quality",
+      sessionCode: state.sessionCode,
+      task: "ID",
+      imageNumber: (state.recording?.currentImage ?? 0) + 1,
+      stimulusId: currentRecordingImage().stimulusId,
+      recordingType: currentMode === "audio" ? "audio" : "video",
+      passed: result.passed,
+      failedChecks: result.failures.map((f) => f.check).join(","),
+      decision: result.passed ? "passed" : rerecord ? "rerecord" : "kept",
+      ...result.measurements,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (rerecord) {
+    recordedFile = null;
+    currentRecordingImage().status = "pending";
+    renderRecordingImageStatus();
+    btnRetake.hidden = true;
+    videoEl.style.display = "none";
+    audioEl.style.display = "none";
+    statusEl.textContent = "Recording discarded. Press Start to record again.";
+    return;
+  }
+  statusEl.textContent = `${stoppedAtLimit ? `Stopped at the ${RECORDING_LIMITS.maxDurationSec}-second limit. ` : ""}Ready to upload, ${Math.round(file.size / 1024 / 1024)} MB`;
+  btnUpload.disabled = false;
+}
+/* <<< RECORDING_QUALITY: END <<< */
 
-    progressEl.value = 100;
-    statusEl.textContent = "✅ Upload complete!";
+    btnStart.addEventListener("click", startRecording);
+    btnStop.addEventListener("click", stopRecording);
+    btnRetake.addEventListener("click", () => {
+      currentRecordingImage().status = "pending";
+      videoEl.src = "";
+      audioEl.src = "";
+      audioEl.style.display = "none";
+      startRecording();
+    });
+    btnSkipImage.addEventListener("click", skipRecordingImage);
+    // A new image: clear the previous take
+    recorderReset = () => {
+      recordedFile = null;
+      btnUpload.disabled = true;
+      btnRetake.hidden = true;
+      btnSkipImage.disabled = false;
+      videoEl.style.display = "none";
+      videoEl.src = "";
+      audioEl.style.display = "none";
+      audioEl.src = "";
+      renderClock(0);
+      statusEl.textContent = `Image ${(state.recording.currentImage || 0) + 1}: press Start recording when you're ready.`;
+      renderRecordingImageStatus();
+    };
+/* >>> UPLOAD_CLICK_HANDLER: START >>> */
+let queuedUploadId = null;
+
+btnUpload.addEventListener("click", async () => {
+  if (!recordedFile) return;
+
+  try {
+    if (!canUpload) throw new Error("No upload backend configured");
+    window.storagePaths.validateUpload(recordedFile);
+    btnUpload.disabled = true;
+
+    // Kept in IndexedDB until the upload is acknowledged; logged by onRecordingUploaded()
+    const imageNum = (state.recording?.currentImage ?? 0) + 1;
+    const image = currentRecordingImage();
+    queuedUploadId = await window.uploadQueue.add(recordedFile, {
+      sessionCode: state.sessionCode,
+      task: "ID",
+      item: image.stimulusId,
+      stimulusId: image.stimulusId,
+      imageNumber: imageNum,
+      recordingType: (currentMode === "audio") ? "audio" : "video",
+      durationSec: image.durationSec,
+      recordingAttempts: image.attempts
+    });
+    recordedFile = null;
+    finishRecordingImage("uploading", { uploadId: queuedUploadId });
+    statusEl.textContent = "✅ Saved on this device. Uploading...";
   } catch (e) {
     console.error(e);
-    statusEl.textContent = "Upload error. Please try again.";
+    statusEl.textContent = `Upload error: ${e.message}`;
     btnUpload.disabled = false;
-  } finally {
-    setTimeout(() => { progressEl.style.display = "none"; }, 500);
   }
 });
+
+if (window.uploadQueue) {
+  window.uploadQueue.onChange((uploads) => {
+    if (!queuedUploadId) return;
+    const entry = uploads.find((u) => u.id === queuedUploadId);
+    if (!entry) {
+      queuedUploadId = null;
+      progressEl.style.display = "none";
+      statusEl.textContent = "✅ Upload complete!";
+      return;
+    }
+    progressEl.style.display = entry.status === "uploading" ? "" : "none";
+    progressEl.value = Math.round((entry.bytesUploaded / entry.size) * 100);
+    if (entry.status === "uploading") statusEl.textContent = `Uploading... ${progressEl.value}%`;
+    else if (entry.status === "paused") statusEl.textContent = "Upload paused. It's saved on this device.";
+    else if (entry.lastError) statusEl.textContent = "Upload interrupted. It's saved on this device and will retry.";
+  });
+}
 /* <<< UPLOAD_CLICK_HANDLER: END <<< */
 
     if (!window.MediaRecorder) {
@@ -1994,13 +3484,15 @@ btnUpload.addEventListener("click", async () => {
     copyEmail,
     copyRecoveryLink,
     openSupportEmail,
+    openReportProblem,
+    closeReportProblem,
+    submitProblemReport,
     tryMailto,
     // EEG flow handlers
     closeEEGModal,
     proceedToEEGInfo,
     // Debug utilities
     debugVideoUpload,
-    submitASLCTIssue,
     testCloudinaryUpload,
     // EEG scheduling utilities
     expressEEGInterest,
@@ -2009,7 +3501,16 @@ btnUpload.addEventListener("click", async () => {
     // Session handlers
     createNewSession,
     pauseStudy,
+    dismissInactivityPrompt,
+    dismissOpenElsewhereNotice,
+    toggleUploads,
+    retryFailedUploads,
+    continueWithoutFailedUploads,
+    finishRecordingImage,
     proceedToTasks,
+    runPreflight,
+    testPreflightCamera,
+    continueFromPreflight,
     resumeSession,
     resumeStudy,
     saveAndExit,
@@ -2017,6 +3518,7 @@ btnUpload.addEventListener("click", async () => {
     completeTask,
     continueToCurrentTask,
     markComplete,
+    markExternalComplete,
     openEmbedInNewTab,
     reloadEmbed,
     showScreen,
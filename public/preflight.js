@@ -0,0 +1,242 @@
+// public/preflight.js
+(() => {
+  // Device and browser checks run on the pre-flight screen, before the task
+  // list, so a missing camera or a task page that won't load shows up front
+  // instead of halfway through a task:
+  //
+  //   list(options) -> [{ id, label }]          the checks run() will do
+  //   run(options, onResult) -> { ranAt, userAgent, checks: { id: { label, verdict, detail } } }
+  //   recheck(id, options) -> { id, label, verdict, detail }
+  //
+  // verdict is 'pass', 'warn' or 'fail'. onResult(result) is called as each
+  // check finishes, for a live list. options:
+  //   sessionCode  used for the Firestore and Storage round trips
+  //   pickMime     the recorder's MIME picker (main.js), so both agree on formats
+  //   embeds       [{ code, url }] for the embedded tasks to load in a hidden iframe
+  //   local        offline lab: check serverUrl instead of Firestore and Storage
+  //   requestMedia ask for camera and microphone access instead of only reading
+  //                the permission state (the "Test camera" button)
+  //   thresholds   override DEFAULTS (main.js passes CONFIG.PREFLIGHT)
+  const DEFAULTS = {
+    timeoutMs: 8e3,
+    minWidth: 1024,
+    minHeight: 600
+  };
+  const EMBED_PROTOCOL = 'study-embed';
+
+  let keyPressed = false;
+  window.addEventListener('keydown', () => { keyPressed = true; }, { capture: true, once: true });
+
+  const result = (verdict, detail) => ({ verdict, detail });
+
+  function withTimeout(promise, ms) {
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), ms))
+    ]);
+  }
+
+  function checkSecureContext() {
+    return window.isSecureContext
+      ? result('pass', 'The page is served securely')
+      : result('fail', 'The page is not served over HTTPS, so the browser blocks the camera and microphone');
+  }
+
+  function checkMediaRecorder({ pickMime }) {
+    if (typeof window.MediaRecorder === 'undefined') {
+      return result('fail', 'This browser cannot record video. You can upload a video file instead.');
+    }
+    const video = pickMime ? pickMime('video') : '';
+    const audio = pickMime ? pickMime('audio') : '';
+    if (video) return result('pass', `Records ${video}`);
+    if (audio) return result('warn', `Only audio recording is supported (${audio})`);
+    return result('warn', 'The browser will pick its own recording format');
+  }
+
+  async function permissionState(name) {
+    try {
+      return (await navigator.permissions.query({ name })).state;
+    } catch (err) {
+      return 'unknown'; // Firefox and older Safari can't query camera permissions
+    }
+  }
+
+  async function checkCamera({ requestMedia }) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      return result('fail', 'This browser has no camera or microphone access');
+    }
+    if (requestMedia) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+        stream.getTracks().forEach(t => t.stop());
+        return result('pass', 'Camera and microphone are working');
+      } catch (err) {
+        if (err.name === 'NotAllowedError') return result('fail', 'Camera or microphone access was blocked');
+        if (err.name === 'NotFoundError') return result('fail', 'No camera or microphone was found');
+        return result('fail', `The camera could not start (${err.name || err.message})`);
+      }
+    }
+    const [camera, microphone] = await Promise.all([permissionState('camera'), permissionState('microphone')]);
+    if (camera === 'denied' || microphone === 'denied') {
+      return result('fail', 'Camera or microphone access is blocked in the browser settings');
+    }
+    if (camera === 'granted' && microphone === 'granted') return result('pass', 'Camera and microphone access allowed');
+    const devices = await navigator.mediaDevices.enumerateDevices().catch(() => []);
+    if (devices.length && !devices.some(d => d.kind === 'videoinput')) {
+      return result('warn', 'No camera was found. You can record audio only or upload a file.');
+    }
+    return result('warn', 'The browser will ask for the camera and microphone when you record');
+  }
+
+  // There's no API that says a physical keyboard is attached; a key press, or a
+  // mouse-style pointer, is the best evidence available
+  function checkKeyboard() {
+    if (keyPressed) return result('pass', 'A key press was detected');
+    const desktopPointer = window.matchMedia('(any-pointer: fine)').matches && window.matchMedia('(any-hover: hover)').matches;
+    return desktopPointer
+      ? result('pass', 'Keyboard and mouse expected')
+      : result('warn', 'Touch screen only. Some tasks need arrow keys; connect a keyboard and press any key.');
+  }
+
+  function checkScreen({ minWidth, minHeight }) {
+    const size = `${window.innerWidth}×${window.innerHeight}`;
+    if (window.innerWidth >= minWidth && window.innerHeight >= minHeight) return result('pass', `Window is ${size}`);
+    if (window.screen.width >= minWidth && window.screen.height >= minHeight) {
+      return result('warn', `Window is ${size}; make it larger or full screen`);
+    }
+    return result('warn', `Screen is ${window.screen.width}×${window.screen.height}; tasks are easier on at least ${minWidth}×${minHeight}`);
+  }
+
+  function checkFullscreen() {
+    return document.fullscreenEnabled || document.webkitFullscreenEnabled
+      ? result('pass', 'Fullscreen is available')
+      : result('warn', 'Fullscreen is not available; tasks will use a distraction-free view instead');
+  }
+
+  // A page that refuses to be framed still fires `load` in most browsers, so
+  // only a task_ready message (see EMBED_PROTOCOL in main.js) counts as a pass
+  function checkEmbed({ url }, { timeoutMs }) {
+    return new Promise(resolve => {
+      let origin = '';
+      try {
+        origin = new URL(url, location.href).origin;
+      } catch (err) {
+        resolve(result('fail', 'The task address is not valid'));
+        return;
+      }
+      const frame = document.createElement('iframe');
+      let loaded = false;
+      const finish = (verdict, detail) => {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        frame.remove();
+        resolve(result(verdict, detail));
+      };
+      const onMessage = (ev) => {
+        const data = ev.data || {};
+        if (ev.source !== frame.contentWindow || ev.origin !== origin) return;
+        if (data.protocol === EMBED_PROTOCOL && data.type === 'task_ready') {
+          finish('pass', 'The task loaded');
+        }
+      };
+      const timer = setTimeout(() => (loaded
+        ? finish('warn', 'The task page loaded but did not say it was ready')
+        : finish('fail', 'The task page did not load')), timeoutMs);
+      frame.addEventListener('load', () => { loaded = true; });
+      window.addEventListener('message', onMessage);
+      frame.src = url;
+      frame.tabIndex = -1;
+      frame.setAttribute('aria-hidden', 'true');
+      frame.style.cssText = 'position:absolute;left:-9999px;width:1px;height:1px;border:0;';
+      document.body.appendChild(frame);
+    });
+  }
+
+  async function checkFirestore({ sessionCode, timeoutMs }) {
+    if (!window.db) return result('fail', 'The study database is not configured; progress is only kept in this browser');
+    try {
+      await window.authReady;
+      await withTimeout(window.db.collection('sessions').doc(sessionCode || 'preflight').get({ source: 'server' }), timeoutMs);
+      return result('pass', 'Connected to the study database');
+    } catch (err) {
+      // An answer, even a refusal, means the server was reached
+      if (err.code === 'permission-denied') return result('pass', 'Connected to the study database');
+      return result('fail', 'Could not reach the study database. Progress is kept in this browser and sent when the connection is back.');
+    }
+  }
+
+  async function checkStorage({ sessionCode, timeoutMs }) {
+    if (!window.storage) return result('warn', 'Firebase Storage is not configured; recordings use the other upload options');
+    try {
+      await window.authReady;
+      await withTimeout(window.storage.ref().child(`sessions/${sessionCode || 'preflight'}/preflight`).getMetadata(), timeoutMs);
+      return result('pass', 'Connected to recording storage');
+    } catch (err) {
+      if (err.code === 'storage/object-not-found' || err.code === 'storage/unauthorized') {
+        return result('pass', 'Connected to recording storage');
+      }
+      return result('fail', 'Could not reach recording storage. Recordings wait in this browser until it can be reached.');
+    }
+  }
+
+  async function checkStudyServer({ serverUrl, timeoutMs }) {
+    if (!serverUrl) return result('fail', 'No study server is configured for this lab session');
+    try {
+      const res = await withTimeout(fetch(`${serverUrl}/health`, { cache: 'no-store' }), timeoutMs);
+      if (!res.ok) return result('fail', `The study server answered with an error (HTTP ${res.status})`);
+      return result('pass', 'Connected to the study server');
+    } catch (err) {
+      return result('fail', 'Could not reach the study server on the lab network');
+    }
+  }
+
+  const CHECKS = {
+    secure_context: { label: 'Secure connection', run: checkSecureContext },
+    media_recorder: { label: 'Video recording', run: checkMediaRecorder },
+    camera: { label: 'Camera and microphone', run: checkCamera },
+    keyboard: { label: 'Keyboard', run: checkKeyboard },
+    screen: { label: 'Screen size', run: checkScreen },
+    fullscreen: { label: 'Fullscreen', run: checkFullscreen },
+    firestore: { label: 'Saving progress', run: checkFirestore, online: true },
+    storage: { label: 'Uploading recordings', run: checkStorage, online: true },
+    study_server: { label: 'Lab study server', run: checkStudyServer, local: true }
+  };
+
+  const embedLabel = embed => `Loads ${embed.name || embed.code}`;
+
+  function list(options = {}) {
+    return Object.keys(CHECKS)
+      .filter(id => (options.local ? !CHECKS[id].online : !CHECKS[id].local))
+      .map(id => ({ id, label: CHECKS[id].label }))
+      .concat((options.embeds || []).map(embed => ({ id: `embed:${embed.code}`, label: embedLabel(embed) })));
+  }
+
+  async function recheck(id, options = {}) {
+    const settings = { ...DEFAULTS, ...options.thresholds, ...options };
+    let label = String(id);
+    let outcome;
+    try {
+      // An id can outlive its check, e.g. an embed removed from tasks.json since the last run
+      const embed = label.startsWith('embed:') && (options.embeds || []).find(e => `embed:${e.code}` === id);
+      const check = !embed && Object.prototype.hasOwnProperty.call(CHECKS, id) ? CHECKS[id] : null;
+      if (!embed && !check) throw new Error(`no check called ${label}`);
+      label = embed ? embedLabel(embed) : check.label;
+      outcome = embed ? await checkEmbed(embed, settings) : await check.run(settings);
+    } catch (err) {
+      outcome = result('warn', `The check could not run (${err.message})`);
+    }
+    return { id, label, ...outcome };
+  }
+
+  async function run(options = {}, onResult = () => {}) {
+    const checks = {};
+    await Promise.all(list(options).map(async ({ id }) => {
+      const { label, verdict, detail } = await recheck(id, options);
+      checks[id] = { label, verdict, detail };
+      onResult({ id, label, verdict, detail });
+    }));
+    return { ranAt: new Date().toISOString(), userAgent: navigator.userAgent, checks };
+  }
+
+  window.preflight = { list, run, recheck };
+})();
@@ -2,15 +2,28 @@
 import { CONFIG } from './config.js';
 
 /**
- * Updates the "Image X of 2" UI + image src and resets the status line.
- * No changes needed here unless you rename CONFIG.IMAGE_1/IMAGE_2.
+ * Updates the "Image X of N" UI, image, alt text and instructions from the
+ * session's stimuli (state.stimuli, see chooseStimuli in tasks.js) and resets
+ * the status line. Sessions without stimuli fall back to CONFIG.IMAGE_1/IMAGE_2.
  */
 export function updateRecordingImage(state) {
-  const imageNum = state.recording.currentImage + 1;
+  const index = state.recording.currentImage;
+  const items = (state.stimuli && state.stimuli.items) || [];
+  const stimulus = items[index] || { src: index === 0 ? CONFIG.IMAGE_1 : CONFIG.IMAGE_2, alt: '', instructions: '' };
   const numSpan = document.getElementById('image-number');
+  const countSpan = document.getElementById('image-count');
   const img = document.getElementById('current-image');
-  if (numSpan) numSpan.textContent = imageNum;
-  if (img) img.src = imageNum === 1 ? CONFIG.IMAGE_1 : CONFIG.IMAGE_2;
+  const instructions = document.getElementById('image-instructions');
+  if (numSpan) numSpan.textContent = index + 1;
+  if (countSpan) countSpan.textContent = items.length || 2;
+  if (img) {
+    img.src = stimulus.src;
+    img.alt = stimulus.alt || 'Image to describe';
+  }
+  if (instructions) {
+    instructions.textContent = stimulus.instructions;
+    instructions.hidden = !stimulus.instructions;
+  }
 
   const status = document.getElementById('recording-status');
   if (status) {
@@ -0,0 +1,174 @@
+// public/recordingQuality.js
+(() => {
+  // Pre-upload checks for a finished recording, so a black, silent or very
+  // short clip is caught while the participant can still record it again:
+  //
+  //   check(file, { mode, durationSec, thresholds }) -> { passed, failures, measurements }
+  //
+  // failures is a list of { check, message } with participant-facing messages;
+  // measurements holds every value that was measured, for the recording_quality
+  // event. thresholds override DEFAULTS (main.js passes CONFIG.RECORDING_QUALITY).
+  // A check that can't run in this browser (e.g. no decoder for the clip) is
+  // skipped, not failed.
+  const DEFAULTS = {
+    minDurationSec: 2,
+    minBrightness: 40,      // mean luma of the sampled frames, 0-255
+    minAudioRmsDb: -50,     // dBFS over the whole clip (audio mode)
+    presenceCheck: false,   // look for a face or hands in the sampled frames
+    minSkinFraction: 0.03,  // share of skin-toned pixels that counts as someone in view
+    sampleFrames: 5
+  };
+  const FRAME_WIDTH = 160; // large enough for FaceDetector to find a face
+  const FRAME_HEIGHT = 90;
+  const SEEK_TIMEOUT_MS = 3e3;
+
+  function once(target, event, ms) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), ms);
+      target.addEventListener(event, () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  // MediaRecorder webm files often report an Infinity duration until the
+  // element has been asked to seek past the end
+  async function mediaDuration(el) {
+    if (Number.isFinite(el.duration)) return el.duration;
+    el.currentTime = 1e7;
+    await once(el, 'durationchange', SEEK_TIMEOUT_MS).catch(() => {});
+    return Number.isFinite(el.duration) ? el.duration : null;
+  }
+
+  async function faceCount(canvas) {
+    if (!('FaceDetector' in window)) return null;
+    try {
+      return (await new window.FaceDetector({ fastMode: true }).detect(canvas)).length;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function sampleFrames(file, durationSec, count, detectFaces) {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = url;
+    try {
+      await once(video, 'loadeddata', SEEK_TIMEOUT_MS);
+      const duration = durationSec || await mediaDuration(video);
+      if (!duration) return { duration: null, frames: [] };
+      const canvas = document.createElement('canvas');
+      canvas.width = FRAME_WIDTH;
+      canvas.height = FRAME_HEIGHT;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      const frames = [];
+      for (let i = 0; i < count; i++) {
+        video.currentTime = duration * (i + 0.5) / count;
+        try {
+          await once(video, 'seeked', SEEK_TIMEOUT_MS);
+        } catch (err) {
+          continue;
+        }
+        ctx.drawImage(video, 0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+        frames.push({
+          pixels: ctx.getImageData(0, 0, FRAME_WIDTH, FRAME_HEIGHT).data,
+          faces: detectFaces ? await faceCount(canvas) : null
+        });
+      }
+      return { duration, frames };
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  function meanLuma(pixels) {
+    let sum = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      sum += 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+    }
+    return sum / (pixels.length / 4);
+  }
+
+  // Skin-toned pixels by the usual YCbCr box; crude, but enough to tell an
+  // empty chair or a covered camera from a person signing
+  function skinFraction(pixels) {
+    let skin = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+      const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+      if (cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173) skin++;
+    }
+    return skin / (pixels.length / 4);
+  }
+
+  async function audioRmsDb(file) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+    const ctx = new AudioCtx();
+    try {
+      const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+      const data = buffer.getChannelData(0);
+      let sum = 0;
+      for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+      const rms = Math.sqrt(sum / (data.length || 1));
+      return { rmsDb: rms > 0 ? 20 * Math.log10(rms) : -Infinity, duration: buffer.duration };
+    } catch (err) {
+      return null;
+    } finally {
+      if (ctx.close) ctx.close();
+    }
+  }
+
+  const round = (n, places = 2) => (n == null || !Number.isFinite(n) ? n : Number(n.toFixed(places)));
+
+  async function check(file, { mode = 'video', durationSec = null, thresholds = {} } = {}) {
+    const s = { ...DEFAULTS, ...thresholds };
+    const failures = [];
+    const measurements = { mode, sizeBytes: file.size, durationSec: round(durationSec) };
+
+    if (mode === 'audio') {
+      const audio = await audioRmsDb(file);
+      if (audio) {
+        measurements.audioRmsDb = round(audio.rmsDb, 1);
+        if (!measurements.durationSec) measurements.durationSec = round(audio.duration);
+        if (audio.rmsDb < s.minAudioRmsDb) {
+          failures.push({ check: 'audio_level', message: 'The recording is silent or very quiet.' });
+        }
+      }
+    } else {
+      const { duration, frames } = await sampleFrames(file, durationSec, s.sampleFrames, s.presenceCheck).catch(() => ({ duration: null, frames: [] }));
+      if (!measurements.durationSec) measurements.durationSec = round(duration);
+      measurements.framesSampled = frames.length;
+      if (frames.length) {
+        measurements.meanBrightness = round(frames.reduce((sum, f) => sum + meanLuma(f.pixels), 0) / frames.length, 1);
+        if (measurements.meanBrightness < s.minBrightness) {
+          failures.push({ check: 'brightness', message: 'The video is black or very dark.' });
+        }
+        if (s.presenceCheck) {
+          measurements.skinFraction = round(frames.reduce((sum, f) => sum + skinFraction(f.pixels), 0) / frames.length, 3);
+          const withFaceResult = frames.filter(f => f.faces !== null);
+          if (withFaceResult.length) measurements.framesWithFace = withFaceResult.filter(f => f.faces > 0).length;
+          if (measurements.skinFraction < s.minSkinFraction && !measurements.framesWithFace) {
+            failures.push({ check: 'presence', message: 'We could not see your face or hands in the video.' });
+          }
+        }
+      }
+    }
+
+    if (measurements.durationSec != null && measurements.durationSec < s.minDurationSec) {
+      failures.unshift({ check: 'duration', message: `The recording is shorter than ${s.minDurationSec} seconds.` });
+    }
+    return { passed: failures.length === 0, failures, measurements };
+  }
+
+  window.recordingQuality = { check };
+})();
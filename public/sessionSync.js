@@ -0,0 +1,108 @@
+// public/sessionSync.js
+(() => {
+  // Conflict-safe session state in Firestore. The session doc carries a
+  // revision (`rev`) that goes up by one on every state save. Saves run in a
+  // transaction that merges this tab's state with whatever is stored:
+  //   completedTasks / skippedTasks  union
+  //   currentTaskIndex, totals       max
+  //   taskData                       per task; a verified completion wins
+  //   taskTiming                     visits merged by start time
+  //   everything else                this tab's value
+  // so a laptop and a phone can't undo each other's progress. watch() tells
+  // the page when another tab or device has written a newer revision.
+  const tabId = Math.random().toString(36).slice(2, 10);
+  const MAX_FIELDS = ['currentTaskIndex', 'totalTimeSpent', 'totalActiveTime', 'totalPausedTime'];
+
+  let pendingSave = null;
+
+  function union(a, b) {
+    const out = (a || []).slice();
+    (b || []).forEach(v => { if (!out.includes(v)) out.push(v); });
+    return out;
+  }
+
+  function mergeTaskData(local = {}, remote = {}) {
+    const out = { ...remote };
+    Object.keys(local).forEach(code => {
+      const merged = { ...remote[code], ...local[code] };
+      if ((remote[code] || {}).completionSource === 'verified') merged.completionSource = 'verified';
+      out[code] = merged;
+    });
+    return out;
+  }
+
+  function mergeTaskTiming(local = {}, remote = {}) {
+    const out = {};
+    union(Object.keys(remote), Object.keys(local)).forEach(code => {
+      const byStart = {};
+      ((remote[code] || {}).visits || []).concat((local[code] || {}).visits || []).forEach(visit => {
+        const seen = byStart[visit.start];
+        if (!seen || (visit.elapsed || 0) >= (seen.elapsed || 0)) byStart[visit.start] = visit;
+      });
+      out[code] = { visits: Object.values(byStart).sort((a, b) => String(a.start).localeCompare(String(b.start))) };
+    });
+    return out;
+  }
+
+  /** Merge two copies of the session state; scalar fields come from `local`. */
+  function mergeStates(local, remote) {
+    if (!remote) return { ...local };
+    if (!local) return { ...remote };
+    const merged = { ...remote, ...local };
+    merged.completedTasks = union(remote.completedTasks, local.completedTasks);
+    merged.skippedTasks = union(remote.skippedTasks, local.skippedTasks);
+    MAX_FIELDS.forEach(key => { merged[key] = Math.max(remote[key] || 0, local[key] || 0); });
+    merged.taskData = mergeTaskData(local.taskData, remote.taskData);
+    merged.taskTiming = mergeTaskTiming(local.taskTiming, remote.taskTiming);
+    if (remote.sequence && remote.sequence.length) merged.sequence = remote.sequence;
+    merged.rev = Math.max(remote.rev || 0, local.rev || 0);
+    return merged;
+  }
+
+  /**
+   * Save state in a transaction. Resolves to { state, stale } where state is
+   * the merged copy that was written and stale is true when another tab or
+   * device had written since this tab last saw the doc.
+   */
+  async function save(localState) {
+    await window.authReady;
+    const ref = window.db.collection('sessions').doc(localState.sessionCode);
+    try {
+      const result = await window.db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const remote = snap.exists ? snap.data() : null;
+        const stale = !!remote && (remote.rev || 0) > (localState.rev || 0) && remote.lastWriter !== tabId;
+        const merged = mergeStates(localState, remote);
+        merged.rev = ((remote && remote.rev) || 0) + 1;
+        merged.lastWriter = tabId;
+        // Owners are managed by claim/link (main.js) and the recovery server, never by a state save
+        const user = window.auth && window.auth.currentUser;
+        merged.ownerUids = remote ? remote.ownerUids || [] : (user ? [user.uid] : []);
+        delete merged.email; // contact details live in private/contact, never in the readable doc
+        tx.set(ref, { ...merged, lastUpdated: firebase.firestore.FieldValue.serverTimestamp() });
+        return { state: merged, stale };
+      });
+      pendingSave = null;
+      return result;
+    } catch (err) {
+      // Transactions need the network; try again with the latest state when it's back
+      pendingSave = localState;
+      throw err;
+    }
+  }
+
+  /** Call onRemote(remoteState) whenever another tab or device saves a newer revision. */
+  function watch(sessionCode, getRev, onRemote) {
+    return window.db.collection('sessions').doc(sessionCode).onSnapshot(snap => {
+      if (!snap.exists || snap.metadata.hasPendingWrites) return;
+      const remote = snap.data();
+      if (remote.lastWriter && remote.lastWriter !== tabId && (remote.rev || 0) > (getRev() || 0)) onRemote(remote);
+    }, err => console.warn('Session watch failed', err));
+  }
+
+  window.addEventListener('online', () => {
+    if (pendingSave && window.sessionSync.onRetry) window.sessionSync.onRetry();
+  });
+
+  window.sessionSync = { tabId, mergeStates, save, watch, onRetry: null };
+})();
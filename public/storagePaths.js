@@ -0,0 +1,60 @@
+// public/storagePaths.js
+(() => {
+  // The one Firebase Storage layout every uploader uses. storage.rules
+  // enforces the same contract, so keep the two in step:
+  //   sessions/{sessionCode}/recordings/{task}/{item}_{timestamp}.{ext}
+  //       participant recordings; writable only by the session's ownerUids
+  //   debug/{uid}/{runId}.{ext}
+  //       connection tests from debug.js; writable only by that uid
+  //   support/{uid}/{ticketNumber}.jpg
+  //       screenshots attached to support tickets; JPEG or PNG up to 5 MB
+  // The first two accept video/* and audio/* smaller than MAX_UPLOAD_BYTES.
+  const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+  const ALLOWED_TYPE = /^(video|audio)\//;
+  const CODE_REGEX = /^[A-Z0-9]{8}$/;
+
+  function extFor(file) {
+    const type = (file && file.type) || '';
+    if (type.includes('mp4') && type.startsWith('audio/')) return 'm4a';
+    if (type.includes('x-m4a')) return 'm4a';
+    if (type.includes('mp4')) return 'mp4';
+    if (type.includes('quicktime')) return 'mov';
+    if (type.includes('webm')) return 'webm';
+    if (type.includes('ogg')) return 'ogg';
+    if (type.includes('wav')) return 'wav';
+    if (file && file.name && file.name.includes('.')) return file.name.split('.').pop().toLowerCase();
+    return 'webm';
+  }
+
+  function stamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+  }
+
+  /** Throws with a participant-facing message when the rules would reject the file. */
+  function validateUpload(file) {
+    if (!file) throw new Error('No file selected');
+    if (!file.size) throw new Error('The recording is empty');
+    if (!ALLOWED_TYPE.test(file.type || '')) {
+      throw new Error('Only video or audio recordings can be uploaded');
+    }
+    if (file.size >= MAX_UPLOAD_BYTES) {
+      throw new Error(`File is ${Math.round(file.size / 1024 / 1024)}MB (limit ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)`);
+    }
+  }
+
+  /** Path for a participant recording, e.g. item `image3` of task `ID`. */
+  function recordingPath(sessionCode, item, file, task = 'ID') {
+    if (!CODE_REGEX.test(sessionCode || '')) throw new Error('Invalid session code');
+    return `sessions/${sessionCode}/recordings/${task}/${item}_${stamp()}.${extFor(file)}`;
+  }
+
+  function debugPath(uid, runId, file) {
+    return `debug/${uid}/${runId}.${extFor(file)}`;
+  }
+
+  function supportScreenshotPath(uid, ticketNumber) {
+    return `support/${uid}/${ticketNumber}.jpg`;
+  }
+
+  window.storagePaths = { MAX_UPLOAD_BYTES, validateUpload, recordingPath, debugPath, supportScreenshotPath };
+})();
@@ -0,0 +1,85 @@
+// public/studyEmbed.js
+(() => {
+  // Task-page side of the study-embed protocol (EMBED_PROTOCOL in main.js). An
+  // embedded task loads this script from the study site and reports through it:
+  //
+  //   studyEmbed.ready({ build })            once the task has loaded
+  //   studyEmbed.progress(completed, total)  as the participant moves through it
+  //   studyEmbed.trial(record)               after each trial
+  //   studyEmbed.forwardKeys()               once, to share key presses (see below)
+  //   studyEmbed.complete(summary)           when the last trial is done
+  //   studyEmbed.error(message)              when the task cannot continue
+  //
+  // The study page adds taskCode and studyOrigin to the iframe URL; a task page
+  // that redirects inside the frame should pass the query string along.
+  // Messages go only to the study page that framed the task.
+  //
+  // forwardKeys() sends the keys pressed on the task page as task_keys, in
+  // batches. Keys typed into form fields are never sent. The study page keeps
+  // them only when its keyMode is 'embed-full' and this frame has focus.
+  const PROTOCOL = 'study-embed';
+  const VERSION = 1;
+  const KEY_BATCH_MS = 1e3;
+
+  const params = new URLSearchParams(location.search);
+  const script = document.currentScript;
+  const taskCode = params.get('taskCode') || (script && script.dataset.taskCode) || '';
+  const studyOrigin = (() => {
+    if (location.ancestorOrigins && location.ancestorOrigins.length) return location.ancestorOrigins[0];
+    if (params.get('studyOrigin')) return params.get('studyOrigin');
+    try {
+      return new URL(document.referrer).origin;
+    } catch (e) {
+      return '';
+    }
+  })();
+  let completed = false;
+  let pendingKeys = [];
+  let keyTimer = null;
+
+  function send(type, payload = {}) {
+    if (window.parent === window || !studyOrigin) return false;
+    window.parent.postMessage({ protocol: PROTOCOL, version: VERSION, type, taskCode, payload }, studyOrigin);
+    return true;
+  }
+
+  function isEditable(target) {
+    if (!target || !target.tagName) return false;
+    return /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable;
+  }
+
+  function sendKeys() {
+    clearTimeout(keyTimer);
+    keyTimer = null;
+    if (!pendingKeys.length) return;
+    send('task_keys', { keys: pendingKeys });
+    pendingKeys = [];
+  }
+
+  function onKeydown(e) {
+    if (isEditable(e.target)) return;
+    pendingKeys.push(e.key);
+    if (!keyTimer) keyTimer = setTimeout(sendKeys, KEY_BATCH_MS);
+  }
+
+  function forwardKeys() {
+    document.removeEventListener('keydown', onKeydown, true);
+    document.addEventListener('keydown', onKeydown, true);
+    window.addEventListener('pagehide', sendKeys);
+  }
+
+  window.studyEmbed = {
+    embedded: window.parent !== window,
+    ready: (info = {}) => send('task_ready', info),
+    progress: (done, total) => send('task_progress', { completed: done, total }),
+    trial: (record) => send('task_trials', record),
+    trials: (records) => send('task_trials', { trials: records }),
+    forwardKeys,
+    complete(summary = {}) {
+      if (completed) return false;
+      completed = true;
+      return send('task_completed', summary);
+    },
+    error: (message) => send('task_error', { message: String(message) })
+  };
+})();
@@ -1,56 +1,73 @@
 // ===== TASKS.JS — START (paste everything below) =====
 
 /* ===========================================
-   EDIT ZONE #1 — TASK DEFINITIONS
+   TASK DEFINITIONS live in public/tasks.json
    -------------------------------------------
-   You may:
-   - Change names, descriptions, URLs, estMinutes, requirements
-   - Add or remove entire tasks (keep the key short like 'RC', 'MRT', etc.)
-   - type must be one of: 'embed' | 'external' | 'recording'
-   - For 'embed' tasks: use embedUrl (NOT url)
-   - For 'external' tasks: use url (NOT embedUrl)
-   - For 'recording' tasks: no url/embedUrl needed
-   - 'skilled: true' = counts as a skilled task in analytics (optional)
+   That manifest is the only place to add, rename, disable or reorder
+   tasks. The study page and the Apps Script (required tasks and the
+   "Tasks Completed" count) both read it. See README "Task manifest".
+   The objects below are filled in place by loadTaskManifest() on startup.
    =========================================== */
-export const TASKS = {
-  'RC':   { name:'Reading Comprehension Task', description:'Read passages and answer questions', type:'embed',   embedUrl:'https://melodyfschwenk.github.io/readingcomp/',              canSkip:true, estMinutes:15, requirements:'None',                                     skilled:true },
-  'MRT':  { name:'Mental Rotation Task',       description:'Decide if two images are the same or not', type:'embed',   embedUrl:'https://melodyfschwenk.github.io/mrt/',                  canSkip:true, estMinutes:6,  requirements:'Keyboard recommended',           skilled:true },
-  'ASLCT':{ name:'ASL Comprehension Test',     description:'For ASL users only',                              url:'https://vl2portal.gallaudet.edu/assessment/', type:'external', canSkip:true, estMinutes:15, requirements:'ASL users; stable connection', skilled:true },
-  'VCN':  { name:'Virtual Campus Navigation',  description:'Virtual SILC Test of Navigation (SILCton)',       url:'http://www.virtualsilcton.com/study/753798747', type:'external', canSkip:true, estMinutes:20, requirements:'Desktop/laptop; keyboard (WASD) & mouse', skilled:true },
-  'SN':   { name:'Spatial Navigation',         description:'Choose the first step from the player to the stop sign (embedded below)', type:'embed',   embedUrl:'https://melodyfschwenk.github.io/spatial-navigation-web/', canSkip:true, estMinutes:8,  requirements:'Arrow keys',                     skilled:true },
-  'ID':   { name:'Image Description',          description:'Record two short videos describing images (or upload if recording is unavailable).', type:'recording', canSkip:true, estMinutes:2, requirements:'Camera & microphone or video upload' },
-  'DEMO': { name:'Demographics Survey',        description:'Background information & payment', url:'https://gallaudet.iad1.qualtrics.com/jfe/form/SV_8GJcoF3hkHoP8BU', type:'external', estMinutes:6, requirements:'None' }
-};
-/* ===== END EDIT ZONE #1 ===== */
+export const TASKS = {};
+export const SEQUENCE_CONFIG = {};
+
+const MANIFEST_CACHE_KEY = 'task_manifest';
 
 
 /* ===========================================
-   DO NOT EDIT — helper to get a friendly task name
+   DO NOT EDIT — manifest loading & task names
    =========================================== */
+export function applyTaskManifest(manifest) {
+  if (!manifest || !manifest.tasks) throw new Error('Task manifest has no tasks');
+  Object.keys(TASKS).forEach(code => { delete TASKS[code]; });
+  Object.keys(manifest.tasks).forEach(code => {
+    if (manifest.tasks[code].enabled !== false) TASKS[code] = manifest.tasks[code];
+  });
+  Object.keys(SEQUENCE_CONFIG).forEach(key => { delete SEQUENCE_CONFIG[key]; });
+  Object.assign(SEQUENCE_CONFIG, { scheme: 'random', pinFirst: [], pinLast: ['DEMO'], blocks: [] }, manifest.sequence);
+}
+
+/**
+ * Fetch tasks.json and apply it. The last good copy is kept in localStorage
+ * so a flaky network on resume doesn't strand a participant mid-study.
+ */
+export async function loadTaskManifest(url = 'tasks.json') {
+  let manifest = null;
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    manifest = await res.json();
+    localStorage.setItem(MANIFEST_CACHE_KEY, JSON.stringify(manifest));
+  } catch (e) {
+    console.warn('Could not fetch task manifest, trying cached copy', e);
+    const cached = localStorage.getItem(MANIFEST_CACHE_KEY);
+    if (!cached) throw e;
+    manifest = JSON.parse(cached);
+  }
+  applyTaskManifest(manifest);
+  return manifest;
+}
+
 export function getStandardTaskName(taskCode) {
-  const mapping = {
-    'RC': 'Reading Comprehension Task',
-    'MRT': 'Mental Rotation Task',
-    'ASLCT': 'ASL Comprehension Test',
-    'VCN': 'Virtual Campus Navigation',
-    'SN': 'Spatial Navigation',
-    'ID': 'Image Description',
-    'DEMO': 'Demographics Survey'
-  };
-  return mapping[taskCode] || (TASKS[taskCode] ? TASKS[taskCode].name : undefined) || taskCode;
+  return (TASKS[taskCode] ? TASKS[taskCode].name : undefined) || taskCode;
 }
 
+/**
+ * Does a task's `includeIf` rule match this participant?
+ * facts = { device: 'desktop'|'mobile', fluency, hearingStatus }.
+ * Every key in includeIf must list the participant's value; a blank fact
+ * passes so older sessions without intake answers keep all their tasks.
+ * Keep in step with taskApplies_ in google-apps-script.gs.
+ */
+export function taskApplies(task, facts) {
+  const rules = (task && task.includeIf) || {};
+  return Object.keys(rules).every(key => !facts[key] || [].concat(rules[key]).includes(facts[key]));
+}
 
-/* ===========================================
-   EDIT ZONE #2 — WHICH TASKS APPEAR ON EACH DEVICE
-   -------------------------------------------
-   If you ADD/REMOVE a task above, update these arrays.
-   - Always keep 'DEMO' OUT of these lists; it gets appended last automatically.
-   - Order affects the randomized base order (we shuffle these later).
-   =========================================== */
-export const DESKTOP_TASKS = ['RC', 'MRT', 'ASLCT', 'VCN', 'SN', 'ID'];
-export const MOBILE_TASKS  = ['RC', 'MRT', 'ASLCT',       'SN', 'ID'];
-/* ===== END EDIT ZONE #2 ===== */
+/** Enabled task codes that apply to a participant, in manifest order. */
+export function eligibleTaskCodes(facts) {
+  return Object.keys(TASKS).filter(code => taskApplies(TASKS[code], facts));
+}
 
 
 /* ===========================================
@@ -75,6 +92,92 @@ export function shuffleWithSeed(array, seed) {
   return a;
 }
 
+/**
+ * Row `row` of a balanced (Williams) Latin square over n items, as indexes 0..n-1.
+ * Even n has n rows; odd n has 2n rows (each row plus its mirror image).
+ */
+export function latinSquareRow(n, row) {
+  const base = [0];
+  for (let i = 1, lo = 1, hi = n - 1; i < n; i++) base.push(i % 2 ? lo++ : hi--);
+  const rows = n % 2 ? 2 * n : n;
+  const r = ((row % rows) + rows) % rows;
+  const shifted = base.map(v => (v + r) % n);
+  return r >= n ? shifted.reverse() : shifted;
+}
+
+export function latinSquareRowCount(n) {
+  return n % 2 ? 2 * n : n;
+}
+
+/**
+ * The counterbalancing row to hand out next: the least-used of `rows`, lowest
+ * first on a tie, so consecutive sign-ups rotate through every row.
+ * `counts` maps row -> participants so far (assignments/{key}.counts).
+ */
+export function nextAssignmentRow(counts, rows) {
+  let row = 0;
+  for (let r = 1; r < rows; r++) {
+    if ((counts[r] || 0) < (counts[row] || 0)) row = r;
+  }
+  return row;
+}
+
+/**
+ * Build a participant's task order from SEQUENCE_CONFIG.
+ * `seed` drives the random shuffles; `row` picks the Latin-square row
+ * (defaults to the seed). Returns { sequence, condition } where condition
+ * records what the participant got, for the session record.
+ */
+export function buildSequence(taskCodes, { seed, row = seed, config = SEQUENCE_CONFIG } = {}) {
+  const pinFirst = config.pinFirst || [];
+  const pinLast = config.pinLast || [];
+  const pool = (taskCodes || []).filter(code => !pinFirst.includes(code) && !pinLast.includes(code));
+  let middle;
+  let condition;
+
+  if (config.scheme === 'latin-square' && pool.length > 1) {
+    const rows = latinSquareRowCount(pool.length);
+    const r = ((row % rows) + rows) % rows;
+    middle = latinSquareRow(pool.length, r).map(i => pool[i]);
+    condition = { scheme: 'latin-square', row: r, rows, label: `latin-square row ${r + 1} of ${rows}` };
+  } else if (config.scheme === 'blocks') {
+    const blocks = (config.blocks || []).map(block => block.filter(code => pool.includes(code)));
+    const leftover = pool.filter(code => !blocks.some(block => block.includes(code)));
+    if (leftover.length) blocks.push(leftover);
+    middle = [];
+    blocks.forEach((block, i) => { middle.push(...shuffleWithSeed(block, seed + i)); });
+    condition = { scheme: 'blocks', seed, blocks: blocks.length, label: `blocks (${blocks.map(b => b.length).join('+')})` };
+  } else {
+    middle = shuffleWithSeed(pool, seed);
+    condition = { scheme: 'random', seed, label: 'random' };
+  }
+
+  const sequence = pinFirst.concat(middle, pinLast);
+  condition.order = sequence.join(',');
+  return { sequence, condition };
+}
+
+/**
+ * Pick a participant's images from a recording task's `stimulusSet`:
+ * { id, order: 'fixed'|'random'|'counterbalanced', count, images: [{ id, src, alt, instructions }] }.
+ * 'random' shuffles with `seed`; 'counterbalanced' takes Latin-square row `row`,
+ * so both the order and (with `count`) the subset rotate across participants.
+ * Returns { setId, order, items } for the session state.
+ */
+export function chooseStimuli(set, { seed, row = seed } = {}) {
+  if (!set) return { setId: '', order: 'fixed', items: [] };
+  const images = set.images || [];
+  const count = Math.min(set.count || images.length, images.length);
+  let ordered = images;
+  if (set.order === 'random') ordered = shuffleWithSeed(images, seed);
+  else if (set.order === 'counterbalanced' && images.length > 1) ordered = latinSquareRow(images.length, row).map(i => images[i]);
+  return {
+    setId: set.id || '',
+    order: set.order || 'fixed',
+    items: ordered.slice(0, count).map(img => ({ id: img.id, src: img.src, alt: img.alt || '', instructions: img.instructions || '' }))
+  };
+}
+
 export function ensureDemographicsLast(sequence) {
   const filtered = (sequence || []).filter(code => code !== 'DEMO');
   filtered.push('DEMO');
@@ -0,0 +1,278 @@
+// public/uploadBackends.js
+(() => {
+  // Every way a recording can leave the browser, behind one interface:
+  //
+  //   {
+  //     name,
+  //     available(settings) -> bool                     configured on this page?
+  //     upload(file, meta, onProgress, ctx) -> result    { url, path?, ... }
+  //     verify(result) -> Promise<bool>                  did the file really land?
+  //   }
+  //
+  // meta is { sessionCode, task, item, stimulusId, imageNumber, recordingType }. ctx carries
+  // { resume, saveResume, signal } when the caller (uploadQueue.js) can resume an
+  // interrupted upload; backends that can't resume ignore it. upload() tries
+  // the configured backends in order (CONFIG.UPLOAD_BACKENDS) and falls back to
+  // the next one when an upload fails or can't be verified.
+  const registry = {};
+  let settings = { order: ['firebase', 'cloudinary'], cloudinary: {}, sheetsUrl: '', serverUrl: '', labKey: '' };
+
+  function uploadError(message, status) {
+    const err = new Error(message);
+    err.permanent = status === 400 || status === 401 || status === 403;
+    return err;
+  }
+
+  // ---------------- Firebase Storage ----------------
+  // Resumable upload against the Storage REST endpoint (the protocol the SDK uses
+  // internally). The SDK can't reattach to an upload after a reload, so the
+  // session URL is saved through ctx.saveResume instead.
+  const FIREBASE_CHUNK_BYTES = 8 * 256 * 1024; // must be a multiple of 256 KiB
+
+  async function storageHeaders(extra) {
+    const user = window.auth && window.auth.currentUser;
+    if (!user) throw new Error('Not signed in');
+    return { Authorization: `Firebase ${await user.getIdToken()}`, ...extra };
+  }
+
+  async function startStorageSession(file, meta, path) {
+    const bucket = window.storage.ref().bucket;
+    const url = `https://firebasestorage.googleapis.com/v0/b/${bucket}/o?name=${encodeURIComponent(path)}`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: await storageHeaders({
+        'Content-Type': 'application/json; charset=utf-8',
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(file.size),
+        'X-Goog-Upload-Header-Content-Type': file.type
+      }),
+      body: JSON.stringify({
+        name: path,
+        contentType: file.type,
+        metadata: { sessionCode: meta.sessionCode, imageNumber: String(meta.imageNumber), stimulusId: meta.stimulusId || '' }
+      })
+    });
+    const sessionUrl = res.headers.get('X-Goog-Upload-URL');
+    if (!res.ok || !sessionUrl) throw uploadError(`Could not start upload (HTTP ${res.status})`, res.status);
+    return sessionUrl;
+  }
+
+  // Bytes the server already has, or null when the session has expired
+  async function queryStorageSession(sessionUrl) {
+    const res = await fetch(sessionUrl, { method: 'POST', headers: await storageHeaders({ 'X-Goog-Upload-Command': 'query' }) });
+    if (!res.ok) return null;
+    if (res.headers.get('X-Goog-Upload-Status') === 'final') return Infinity;
+    return parseInt(res.headers.get('X-Goog-Upload-Size-Received'), 10) || 0;
+  }
+
+  const firebaseStorage = {
+    name: 'firebase',
+    available: () => !!(window.storage && window.db && window.auth),
+    async upload(file, meta, onProgress, { resume = {}, saveResume = async () => {}, signal } = {}) {
+      await window.authReady; // storage rules only accept the session's own uids
+      const path = resume.path || window.storagePaths.recordingPath(meta.sessionCode, meta.item, file, meta.task);
+      let sessionUrl = resume.sessionUrl;
+      let offset = sessionUrl ? await queryStorageSession(sessionUrl) : null;
+      if (offset === null) {
+        sessionUrl = await startStorageSession(file, meta, path);
+        offset = 0;
+        await saveResume({ path, sessionUrl });
+      }
+
+      while (offset < file.size) {
+        const end = Math.min(offset + FIREBASE_CHUNK_BYTES, file.size);
+        const res = await fetch(sessionUrl, {
+          method: 'POST',
+          signal,
+          headers: await storageHeaders({
+            'X-Goog-Upload-Command': end === file.size ? 'upload, finalize' : 'upload',
+            'X-Goog-Upload-Offset': String(offset)
+          }),
+          body: file.slice(offset, end)
+        });
+        if (!res.ok) throw uploadError(`Upload failed (HTTP ${res.status})`, res.status);
+        offset = end;
+        onProgress(offset);
+      }
+
+      const url = await window.storage.ref().child(path).getDownloadURL();
+      // Merge minimal metadata into the session doc
+      await window.db.collection('sessions').doc(meta.sessionCode).set({
+        videos: window.firebase.firestore.FieldValue.arrayUnion({
+          imageNumber: meta.imageNumber,
+          stimulusId: meta.stimulusId || null,
+          url,
+          storagePath: path,
+          size: file.size,
+          contentType: file.type || null,
+          uploadedAt: new Date().toISOString()
+        }),
+        lastSaved: new Date().toISOString()
+      }, { merge: true });
+      return { url, path };
+    },
+    async verify(result) {
+      const stored = await window.storage.ref().child(result.path).getMetadata();
+      return Number(stored.size) === result.expectedBytes;
+    }
+  };
+
+  // ---------------- Cloudinary ----------------
+  // Chunks share an X-Unique-Upload-Id, so after a reload the upload continues
+  // from the last chunk Cloudinary acknowledged.
+  const CLOUDINARY_CHUNK_BYTES = 6 * 1024 * 1024; // Cloudinary needs chunks of at least 5 MB
+
+  const cloudinary = {
+    name: 'cloudinary',
+    available: (s) => !!(s.cloudinary.cloud && s.cloudinary.preset),
+    async upload(file, meta, onProgress, { resume = {}, saveResume = async () => {}, signal } = {}) {
+      const { cloud, preset, folder } = settings.cloudinary;
+      const url = `https://api.cloudinary.com/v1_1/${cloud}/video/upload`;
+      const uploadId = resume.uploadId || `${meta.sessionCode}-${meta.item}-${Date.now()}`;
+      let offset = resume.offset || 0;
+      let result;
+      do {
+        const end = Math.min(offset + CLOUDINARY_CHUNK_BYTES, file.size);
+        const form = new FormData();
+        form.append('file', file.slice(offset, end), file.name || 'recording');
+        form.append('upload_preset', preset);
+        form.append('folder', folder);
+        const res = await fetch(url, {
+          method: 'POST',
+          signal,
+          headers: { 'X-Unique-Upload-Id': uploadId, 'Content-Range': `bytes ${offset}-${end - 1}/${file.size}` },
+          body: form
+        });
+        if (!res.ok) {
+          // A rejected first chunk is a configuration problem; a later one usually
+          // means Cloudinary dropped the partial upload, so start the clip again
+          const err = uploadError(`Cloudinary upload failed (HTTP ${res.status})`, offset === 0 ? res.status : 0);
+          if (offset > 0 && res.status >= 400 && res.status < 500) await saveResume({ uploadId: null, offset: 0 });
+          throw err;
+        }
+        result = await res.json();
+        offset = end;
+        onProgress(offset);
+        if (offset < file.size) await saveResume({ uploadId, offset });
+      } while (offset < file.size);
+      return { ...result, url: result.secure_url || result.url || '', path: result.public_id };
+    },
+    verify: async (result) => !!(result.url && result.public_id)
+  };
+
+  // ---------------- Google Drive (Apps Script upload_video) ----------------
+  // One base64 POST; Apps Script caps the size (MAX_UPLOAD_SIZE_BYTES, 5 MB by
+  // default), so this is a last resort for short clips.
+  function toBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(',')[1]);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  const drive = {
+    name: 'drive',
+    available: (s) => !!s.sheetsUrl,
+    async upload(file, meta, onProgress, { signal } = {}) {
+      const res = await fetch(settings.sheetsUrl, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({
+          action: 'upload_video',
+          sessionCode: meta.sessionCode,
+          imageNumber: meta.imageNumber,
+          stimulusId: meta.stimulusId || '',
+          videoData: await toBase64(file),
+          mimeType: file.type,
+          fileSize: file.size,
+          timestamp: new Date().toISOString()
+        })
+      });
+      const data = await res.json();
+      if (!data.success) throw uploadError(data.error || `Drive upload failed (HTTP ${res.status})`, 400);
+      onProgress(file.size);
+      return { url: data.fileUrl, path: data.filename, fileId: data.fileId };
+    },
+    verify: async (result) => !!result.fileId
+  };
+
+  // ---------------- Local disk (server.js /uploads) ----------------
+  const local = {
+    name: 'local',
+    available: (s) => !!s.serverUrl,
+    async upload(file, meta, onProgress, { signal } = {}) {
+      const form = new FormData();
+      ['sessionCode', 'task', 'item', 'stimulusId', 'imageNumber', 'recordingType'].forEach(key => {
+        if (meta[key] != null) form.append(key, String(meta[key]));
+      });
+      form.append('file', file, file.name || 'recording');
+      const res = await fetch(`${settings.serverUrl}/uploads`, {
+        method: 'POST',
+        signal,
+        headers: { 'X-Lab-Key': settings.labKey },
+        body: form
+      });
+      const data = await res.json();
+      if (!data.success) throw uploadError(data.error || `Local upload failed (HTTP ${res.status})`, res.status);
+      onProgress(file.size);
+      return { url: `${settings.serverUrl}/uploads/${data.path}`, path: data.path, size: data.size, sha256: data.sha256 };
+    },
+    verify: async (result) => result.size === result.expectedBytes
+  };
+
+  [firebaseStorage, cloudinary, drive, local].forEach(backend => { registry[backend.name] = backend; });
+
+  function configure(options) {
+    settings = { ...settings, ...options, cloudinary: { ...settings.cloudinary, ...options.cloudinary } };
+  }
+
+  /** Backend names to try, in order, that are configured on this page. */
+  function available() {
+    return settings.order.filter(name => registry[name] && registry[name].available(settings));
+  }
+
+  /**
+   * Upload through the first backend that succeeds and verifies. Resolves to the
+   * backend's result plus { backend, expectedBytes }. ctx.resume and
+   * ctx.saveResume hold resume data per backend name.
+   */
+  async function upload(file, meta, onProgress = () => {}, ctx = {}) {
+    const names = available();
+    if (!names.length) throw uploadError('No upload backend configured', 400);
+    const errors = [];
+    for (const name of names) {
+      let resume = { ...((ctx.resume || {})[name]) };
+      const saveResume = async (data) => {
+        resume = { ...resume, ...data };
+        if (ctx.saveResume) await ctx.saveResume({ [name]: resume });
+      };
+      try {
+        const result = await registry[name].upload(file, meta, onProgress, { resume, saveResume, signal: ctx.signal });
+        const final = { ...result, backend: name, expectedBytes: file.size };
+        if (!(await registry[name].verify(final))) throw new Error(`${name} upload could not be verified`);
+        return final;
+      } catch (err) {
+        if (ctx.signal && ctx.signal.aborted) throw err;
+        console.warn(`Upload via ${name} failed`, err);
+        errors.push(err);
+      }
+    }
+    const err = new Error(errors.map(e => e.message).join('; '));
+    err.permanent = errors.every(e => e.permanent);
+    throw err;
+  }
+
+  window.uploadBackends = {
+    configure,
+    available,
+    upload,
+    register(backend) {
+      registry[backend.name] = backend;
+    },
+    get: (name) => registry[name]
+  };
+})();
@@ -0,0 +1,240 @@
+// public/uploadQueue.js
+(() => {
+  // Recordings waiting to be uploaded. A clip is written to IndexedDB as soon
+  // as it is queued and is only deleted once its backend has acknowledged it
+  // and the onUploaded handlers have run, so a closed tab or a dropped
+  // connection never costs the participant a re-recording.
+  //
+  // The uploader (uploadBackends.js, set by main.js) uploads in pieces and
+  // calls saveResume() with whatever it needs to pick up again (an upload
+  // session URL, the bytes acknowledged so far). That is stored on the entry,
+  // so after a reload the upload continues from the last acknowledged piece
+  // instead of starting over.
+  //
+  //   setUploader((entry, { onProgress, saveResume, signal }) -> result, { local })
+  //
+  // A `local` uploader (server.js on the lab network) doesn't need internet, so
+  // it keeps going while the browser reports being offline.
+  //
+  // One upload runs at a time. Failures back off and retry; errors marked
+  // `permanent` park the entry as 'failed' until the participant retries it.
+  const STORE = 'uploads';
+  const BASE_BACKOFF_MS = 5e3;
+  const MAX_BACKOFF_MS = 5 * 60e3;
+
+  let uploader = null;
+  let uploaderIsLocal = false;
+  const entries = new Map(); // id -> entry, mirrors the store
+  const changeListeners = [];
+  const uploadedHandlers = [];
+  let active = null; // { id, controller }
+  let started = false;
+  let retryTimer = null;
+
+  function uuid() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  async function persist(entry) {
+    try {
+      await window.studyIdb.put(STORE, entry);
+      entry.persisted = true;
+    } catch (err) {
+      entry.persisted = false;
+      console.warn('Could not keep the recording in IndexedDB; it only lives in this tab', err);
+    }
+  }
+
+  async function remove(id) {
+    entries.delete(id);
+    try {
+      await window.studyIdb.delete(STORE, id);
+    } catch (err) {
+      console.warn('Could not remove uploaded recording from IndexedDB', err);
+    }
+  }
+
+  /** Queued uploads, oldest first, optionally filtered by sessionCode and task. */
+  function list(filter = {}) {
+    return Array.from(entries.values())
+      .filter(e => (!filter.sessionCode || e.sessionCode === filter.sessionCode) && (!filter.task || e.task === filter.task))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function notify() {
+    const current = list();
+    changeListeners.forEach(fn => {
+      try { fn(current); } catch (err) { console.error(err); }
+    });
+  }
+
+  function backoff(attempts) {
+    const ms = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+    return ms / 2 + Math.random() * ms / 2;
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    const waiting = list().filter(e => e.status === 'queued' && e.nextAttemptAt > Date.now());
+    if (!waiting.length) return;
+    const next = Math.min(...waiting.map(e => e.nextAttemptAt));
+    retryTimer = setTimeout(process, next - Date.now());
+  }
+
+  function nextReady() {
+    if (navigator.onLine === false && !uploaderIsLocal) return null;
+    return list().find(e => e.status === 'queued' && e.nextAttemptAt <= Date.now()) || null;
+  }
+
+  async function process() {
+    if (!started || !uploader || active) return;
+    const entry = nextReady();
+    if (!entry) return scheduleRetry();
+
+    const controller = new AbortController();
+    active = { id: entry.id, controller };
+    entry.status = 'uploading';
+    notify();
+    try {
+      const result = await uploader(entry, {
+        signal: controller.signal,
+        onProgress(bytes) {
+          entry.bytesUploaded = bytes;
+          notify();
+        },
+        async saveResume(data) {
+          entry.resume = { ...entry.resume, ...data };
+          await persist(entry);
+        }
+      });
+      for (const handler of uploadedHandlers) {
+        try {
+          await handler(entry, result);
+        } catch (err) {
+          console.error('Upload handler failed', err);
+        }
+      }
+      await remove(entry.id);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        // pause() or going offline; keep where we got to
+        entry.status = controller.signal.reason === 'paused' ? 'paused' : 'queued';
+      } else if (err && err.permanent) {
+        console.error('Upload rejected; keeping the recording until it is retried', err);
+        entry.status = 'failed';
+      } else {
+        entry.status = 'queued';
+        entry.attempts += 1;
+        entry.nextAttemptAt = Date.now() + backoff(entry.attempts);
+      }
+      entry.lastError = controller.signal.aborted ? '' : String(err && err.message || err);
+      await persist(entry);
+    } finally {
+      active = null;
+    }
+    notify();
+    process();
+  }
+
+  /**
+   * Keep a recording and queue it for upload. Resolves to the upload id once
+   * the clip is safely stored (meta: sessionCode, task, item, ...). The
+   * entry's own `attempts` counts upload retries, so meta should carry any
+   * count of its own under another key (main.js uses recordingAttempts).
+   */
+  async function add(file, meta) {
+    const entry = {
+      ...meta,
+      id: uuid(),
+      file,
+      fileName: file.name || '',
+      type: file.type || '',
+      size: file.size,
+      status: 'queued',
+      bytesUploaded: 0,
+      resume: null,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: '',
+      createdAt: Date.now()
+    };
+    entries.set(entry.id, entry);
+    await persist(entry);
+    notify();
+    process();
+    return entry.id;
+  }
+
+  async function pause(id) {
+    const entry = entries.get(id);
+    if (!entry || entry.status === 'paused') return;
+    if (active && active.id === id) return active.controller.abort('paused');
+    entry.status = 'paused';
+    await persist(entry);
+    notify();
+  }
+
+  async function resume(id) {
+    const entry = entries.get(id);
+    if (!entry || entry.status === 'uploading') return;
+    entry.status = 'queued';
+    entry.nextAttemptAt = 0;
+    await persist(entry);
+    notify();
+    process();
+  }
+
+  /** Load recordings left from an earlier page and start uploading. */
+  async function start() {
+    if (started) return;
+    try {
+      (await window.studyIdb.getAll(STORE)).forEach(stored => {
+        if (entries.has(stored.id)) return;
+        // an upload that was running when the page went away
+        if (stored.status === 'uploading') stored.status = 'queued';
+        entries.set(stored.id, { ...stored, persisted: true });
+      });
+    } catch (err) {
+      console.warn('Could not read queued recordings from IndexedDB', err);
+    }
+    started = true;
+    notify();
+    process();
+  }
+
+  window.addEventListener('online', () => {
+    list().forEach(e => { if (e.status === 'queued') e.nextAttemptAt = 0; });
+    process();
+  });
+  window.addEventListener('offline', () => {
+    if (active && !uploaderIsLocal) active.controller.abort('offline');
+  });
+  // A clip that never made it into IndexedDB is lost with the tab
+  window.addEventListener('beforeunload', (e) => {
+    if (list().some(entry => !entry.persisted)) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  window.uploadQueue = {
+    add,
+    list,
+    pause,
+    resume,
+    start,
+    setUploader(fn, { local = false } = {}) {
+      uploader = fn;
+      uploaderIsLocal = local;
+      process();
+    },
+    hasUploader: () => !!uploader,
+    onChange(fn) {
+      changeListeners.push(fn);
+    },
+    onUploaded(fn) {
+      uploadedHandlers.push(fn);
+    }
+  };
+})();
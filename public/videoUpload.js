@@ -1,38 +1,23 @@
 // === START ===
 import { CONFIG } from './config.js';
 
-// Minimal helper to get an extension from a MIME type or filename
-function extFrom(file) {
-  if (file && file.name && file.name.includes('.')) return file.name.split('.').pop().toLowerCase();
-  if (!file || !file.type) return 'webm';
-  if (file.type.includes('mp4')) return 'mp4';
-  if (file.type.includes('quicktime')) return 'mov';
-  if (file.type.includes('webm')) return 'webm';
-  if (file.type.includes('x-m4a') || file.type === 'audio/mp4') return 'm4a';
-  if (file.type.includes('wav')) return 'wav';
-  return 'bin';
-}
-
 /**
- * Upload a recorded file to Firebase Storage under a session-scoped path.
+ * Upload a recorded file to Firebase Storage under the session's recordings
+ * folder (layout in storagePaths.js), via the firebase backend in uploadBackends.js.
  * Returns { success, path, url, size, contentType } on success.
  */
 async function uploadToFirebaseStorage(file, sessionCode, imageNumber) {
-  if (!window.storage) throw new Error('Firebase Storage not initialized');
   if (!sessionCode) throw new Error('Missing session code');
+  window.storagePaths.validateUpload(file);
 
-  const ext = extFrom(file);
-  const ts = new Date().toISOString().replace(/[:.]/g, '-');
   const safeImage = typeof imageNumber === 'number' ? imageNumber : 1;
-  const path = `sessions/${sessionCode}/image${safeImage}_${ts}.${ext}`;
-
-  const ref = window.storage.ref(path);
-  const snap = await ref.put(file, {
-    contentType: file.type || 'application/octet-stream',
-    customMetadata: { sessionCode, imageNumber: String(safeImage) }
-  });
-  const url = await snap.ref.getDownloadURL();
-  return { success: true, path, url, size: snap.totalBytes, contentType: file.type || '' };
+  const { url, path } = await window.uploadBackends.get('firebase').upload(file, {
+    sessionCode,
+    task: 'ID',
+    item: `image${safeImage}`,
+    imageNumber: safeImage
+  }, () => {});
+  return { success: true, path, url, size: file.size, contentType: file.type || '' };
 }
 
 // expose for callers that expect it on window
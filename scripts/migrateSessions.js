@@ -0,0 +1,59 @@
+// One-off migration for session docs created before the current rules:
+//   - move `email` into sessions/{code}/private/contact
+//   - write sessions/{code}/private/auth with the initials hash (initials are the
+//     first two letters of the participant ID), so a device can link with them
+// Run it before deploying firestore.rules.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json node scripts/migrateSessions.js [--dry-run]
+
+require('dotenv').config();
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Same hash as initialsHash() in public/main.js
+function initialsHash(code, initials) {
+  return crypto.createHash('sha256').update(`${code}:${initials.toUpperCase()}`).digest('hex');
+}
+
+async function main() {
+  admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || undefined });
+  const db = admin.firestore();
+  const sessions = await db.collection('sessions').get();
+  let moved = 0;
+  let hashed = 0;
+  for (const doc of sessions.docs) {
+    const email = doc.get('email');
+    const initials = /^([A-Za-z]{2})_/.exec(doc.get('participantID') || '');
+    const authRef = doc.ref.collection('private').doc('auth');
+    const needsAuth = initials && !(await authRef.get()).exists;
+    if (email === undefined && !needsAuth) continue;
+    if (email !== undefined) moved++;
+    if (needsAuth) hashed++;
+    if (dryRun) continue;
+    const batch = db.batch();
+    if (needsAuth) {
+      batch.set(authRef, {
+        sessionCode: doc.id,
+        initialsHash: initialsHash(doc.id, initials[1]),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    if (email) {
+      batch.set(doc.ref.collection('private').doc('contact'), {
+        sessionCode: doc.id,
+        email,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+    if (email !== undefined) batch.update(doc.ref, { email: admin.firestore.FieldValue.delete() });
+    await batch.commit();
+  }
+  console.log(`${dryRun ? 'Would move' : 'Moved'} email out of ${moved} and add initials to ${hashed} of ${sessions.size} session docs`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+// Replay offline lab sessions stored by server.js (LOCAL_UPLOAD_DIR) to Firebase
+// once the laptop is back online:
+//   - recordings go to Storage under the usual layout (public/storagePaths.js)
+//     and are added to the session doc's `videos`
+//   - events.jsonl goes to sessions/{code}/events/{clientEventId}, except
+//     trial_batch events, whose trials go to sessions/{code}/trials
+//   - state.json is written to sessions/{code} unless a newer revision is there
+// Every file is checked against its SHA-256 in manifest.json first. Replayed
+// files are marked in the manifest, so running it again only sends what changed.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json FIREBASE_STORAGE_BUCKET=<bucket> npm run sync -- [--dry-run] [CODE ...]
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || 'uploads');
+const CODE_REGEX = /^[A-Z0-9]{8}$/;
+const BATCH_SIZE = 400;
+
+const dryRun = process.argv.includes('--dry-run');
+const onlyCodes = process.argv.slice(2).filter(arg => CODE_REGEX.test(arg));
+
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// Same hash as initialsHash() in public/main.js
+function initialsHash(code, initials) {
+  return crypto.createHash('sha256').update(`${code}:${initials.toUpperCase()}`).digest('hex');
+}
+
+function writeManifest(dir, manifest) {
+  const file = path.join(dir, 'manifest.json');
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+async function syncRecording(code, relPath, entry, file) {
+  const bucket = admin.storage().bucket();
+  const destination = `sessions/${code}/recordings/${entry.task}/${path.basename(relPath)}`;
+  const token = crypto.randomUUID();
+  await bucket.upload(file, {
+    destination,
+    metadata: {
+      contentType: entry.contentType,
+      metadata: {
+        sessionCode: code,
+        imageNumber: String(entry.imageNumber || ''),
+        stimulusId: entry.stimulusId || '',
+        firebaseStorageDownloadTokens: token
+      }
+    }
+  });
+  const url = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(destination)}?alt=media&token=${token}`;
+  await admin.firestore().collection('sessions').doc(code).set({
+    videos: admin.firestore.FieldValue.arrayUnion({
+      imageNumber: entry.imageNumber,
+      stimulusId: entry.stimulusId || null,
+      url,
+      storagePath: destination,
+      size: entry.size,
+      contentType: entry.contentType || null,
+      uploadedAt: entry.updatedAt
+    }),
+    lastSaved: new Date().toISOString()
+  }, { merge: true });
+}
+
+async function syncEvents(code, file) {
+  const db = admin.firestore();
+  const session = db.collection('sessions').doc(code);
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  let batch = db.batch();
+  let writes = 0;
+  const write = async (ref, data) => {
+    batch.set(ref, { ...data, syncedFromLocal: true, _ts: admin.firestore.FieldValue.serverTimestamp() });
+    if (++writes < BATCH_SIZE) return;
+    await batch.commit();
+    batch = db.batch();
+    writes = 0;
+  };
+  for (const line of lines) {
+    const event = JSON.parse(line);
+    // Keyed by clientEventId (trials by the same ids the page uses), so replaying
+    // the whole file again is harmless
+    if (event.action === 'trial_batch') {
+      for (const [i, trial] of (event.trials || []).entries()) {
+        await write(session.collection('trials').doc(`${event.clientEventId}_${i}`), trial);
+      }
+    } else {
+      await write(session.collection('events').doc(event.clientEventId), event);
+    }
+  }
+  if (writes) await batch.commit();
+  return lines.length;
+}
+
+async function syncState(code, file) {
+  const db = admin.firestore();
+  const ref = db.collection('sessions').doc(code);
+  const local = JSON.parse(fs.readFileSync(file, 'utf8'));
+  delete local.email; // contact details live in private/contact, never in the readable doc
+  const authRef = ref.collection('private').doc('auth');
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const authSnap = await tx.get(authRef);
+    const remote = snap.exists ? snap.data() : null;
+    // The session carried on online after the lab visit; its own state wins
+    if (remote && (remote.rev || 0) > (local.rev || 0) && remote.lastWriter !== local.lastWriter) return false;
+    tx.set(ref, {
+      ...local,
+      // recordings synced just before were added to `videos`
+      ...(remote && remote.videos ? { videos: remote.videos } : {}),
+      rev: ((remote && remote.rev) || 0) + 1,
+      lastWriter: 'local-sync',
+      ownerUids: (remote && remote.ownerUids) || [],
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    });
+    // A session created offline was never claimed; let the participant link a
+    // device later with the code and their initials
+    const initials = /^([A-Za-z]{2})/.exec(local.participantID || '');
+    if (!authSnap.exists && initials) {
+      tx.set(authRef, {
+        sessionCode: code,
+        initialsHash: initialsHash(code, initials[1]),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    return true;
+  });
+}
+
+async function syncSession(code) {
+  const dir = path.join(LOCAL_UPLOAD_DIR, code);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  manifest.synced = manifest.synced || {};
+  // Recordings first, then events, then state, so the state never points past what's in Firebase
+  const order = { recording: 0, events: 1, state: 2 };
+  const files = Object.entries(manifest.files).sort(([, a], [, b]) => order[a.kind] - order[b.kind]);
+  let sent = 0;
+  for (const [relPath, entry] of files) {
+    const file = path.join(dir, relPath);
+    if (!fs.existsSync(file)) {
+      console.warn(`${code}/${relPath}: missing on disk, skipping`);
+      continue;
+    }
+    const sha256 = sha256File(file);
+    if (sha256 !== entry.sha256) {
+      console.warn(`${code}/${relPath}: checksum does not match the manifest, skipping`);
+      continue;
+    }
+    if (manifest.synced[relPath] === sha256) continue;
+    if (dryRun) {
+      console.log(`Would sync ${code}/${relPath} (${entry.kind}, ${entry.size} bytes)`);
+      sent++;
+      continue;
+    }
+    if (entry.kind === 'recording') await syncRecording(code, relPath, entry, file);
+    if (entry.kind === 'events') console.log(`${code}: ${await syncEvents(code, file)} events`);
+    if (entry.kind === 'state' && !(await syncState(code, file))) {
+      console.warn(`${code}: Firestore has a newer revision; kept it and skipped state.json`);
+    }
+    manifest.synced[relPath] = sha256;
+    writeManifest(dir, manifest);
+    sent++;
+  }
+  return sent;
+}
+
+async function main() {
+  if (!fs.existsSync(LOCAL_UPLOAD_DIR)) {
+    console.log(`Nothing to sync: ${LOCAL_UPLOAD_DIR} does not exist`);
+    return;
+  }
+  if (!dryRun) {
+    admin.initializeApp({
+      projectId: process.env.FIREBASE_PROJECT_ID || undefined,
+      storageBucket: process.env.FIREBASE_STORAGE_BUCKET || undefined
+    });
+  }
+  const codes = fs.readdirSync(LOCAL_UPLOAD_DIR)
+    .filter(name => CODE_REGEX.test(name) && fs.existsSync(path.join(LOCAL_UPLOAD_DIR, name, 'manifest.json')))
+    .filter(name => !onlyCodes.length || onlyCodes.includes(name));
+  let total = 0;
+  for (const code of codes) {
+    try {
+      total += await syncSession(code);
+    } catch (err) {
+      // Leave the rest of this session for the next run; carry on with the others
+      console.error(`${code}: sync failed`, err);
+      process.exitCode = 1;
+    }
+  }
+  console.log(`${dryRun ? 'Would sync' : 'Synced'} ${total} files from ${codes.length} sessions`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -2,11 +2,38 @@
 // This server responds with JSON and exposes the required CORS headers so
 // that the front-end fetch call in index.html can succeed when using
 // `mode: 'cors'`.
+//
+// Routes:
+//   GET  /health          liveness check (the pre-flight study_server check)
+//   POST /external-link   issue a one-time return nonce for an external task
+//   GET  /return          landing page external platforms redirect to on completion
+//   POST /return/status   whether a task's return link has been hit (session owners only)
+//   POST /recovery/issue  issue a one-time recovery link token for a session
+//   POST /recovery/redeem exchange a recovery token for its session code
+//   POST /recovery/revoke revoke a session's outstanding tokens (study team only)
+//   POST /uploads         store a recording on local disk (the 'local' upload backend; LOCAL_LAB only)
+//   POST /local/events    store an event (and save_state snapshots) on local disk (LOCAL_LAB only)
+//   POST *                proxied to SHEETS_URL (Apps Script)
 
 require('dotenv').config();
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Busboy = require('busboy');
 
 const REQUIRED_CONFIG = ['SHEETS_URL', 'CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_UPLOAD_PRESET'];
+const CODE_REGEX = /^[A-Z0-9]{8}$/;
+const TASK_REGEX = /^[A-Z]{2,8}$/;
+const RECOVERY_TOKEN_TTL_HOURS = Number(process.env.RECOVERY_TOKEN_TTL_HOURS) || 72;
+const LINK_MAX_FAILURES = 5;
+const LINK_LOCKOUT_MS = 60 * 60e3;
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || 'uploads');
+// The offline lab routes write to disk, so they only exist on a lab laptop that
+// opts in, and every request must carry the shared lab key
+const LOCAL_LAB = process.env.LOCAL_LAB === '1' && !!process.env.LOCAL_LAB_KEY;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // same cap as public/storagePaths.js
+const ITEM_REGEX = /^[A-Za-z0-9_-]{1,32}$/;
 
 function validateConfig() {
   const missing = REQUIRED_CONFIG.filter(key => !process.env[key]);
@@ -14,71 +41,597 @@ function validateConfig() {
     console.warn(`Missing configuration values: ${missing.join(', ')}`);
     process.exit(1);
   }
+  if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.FIREBASE_PROJECT_ID) {
+    console.warn('Firebase Admin credentials not set; recovery and return links are disabled.');
+  }
+  if (!process.env.SHEETS_SERVER_KEY) {
+    console.warn('SHEETS_SERVER_KEY not set; Apps Script will not accept verified returns.');
+  }
+  if (!process.env.RECOVERY_ADMIN_KEY) {
+    console.warn('RECOVERY_ADMIN_KEY not set; recovery tokens cannot be revoked over HTTP.');
+  }
+  if (process.env.LOCAL_LAB === '1' && !process.env.LOCAL_LAB_KEY) {
+    console.warn('LOCAL_LAB is set without LOCAL_LAB_KEY; offline lab storage is disabled.');
+  }
 }
 
 validateConfig();
 
-const server = http.createServer((req, res) => {
-  // Handle CORS preflight requests
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Content-Type': 'application/json'
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Key, X-Lab-Key'
+};
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const body = await readBody(req);
+  try {
+    return JSON.parse(body || '{}');
+  } catch (err) {
+    return null;
+  }
+}
+
+// ===============================
+// Firebase Admin
+// ===============================
+let firebaseAdmin;
+
+function getAdmin() {
+  if (firebaseAdmin !== undefined) return firebaseAdmin;
+  firebaseAdmin = null;
+  if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.FIREBASE_PROJECT_ID) return firebaseAdmin;
+  try {
+    const admin = require('firebase-admin');
+    if (!admin.apps.length) admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || undefined });
+    firebaseAdmin = admin;
+  } catch (err) {
+    console.error('Could not initialise Firebase Admin:', err);
+  }
+  return firebaseAdmin;
+}
+
+async function verifiedUid(admin, idToken) {
+  if (!idToken) return null;
+  try {
+    return (await admin.auth().verifyIdToken(String(idToken))).uid;
+  } catch (err) {
+    return null;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function secretMatches(expected, provided) {
+  if (!expected) return false;
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(String(provided || '')).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// The uid behind an ID token, if it is one of the session's ownerUids
+async function sessionOwner(admin, sessionCode, idToken) {
+  const uid = await verifiedUid(admin, idToken);
+  if (!uid) return null;
+  const session = await admin.firestore().collection('sessions').doc(sessionCode).get();
+  return session.exists && (session.get('ownerUids') || []).includes(uid) ? uid : null;
+}
+
+// ===============================
+// External task return links
+// ===============================
+// Opening an external task gets a one-time nonce for that session and task,
+// stored in external_links/{nonce}. The platform's completion redirect sends it
+// back to /return together with the task's return key (RETURN_KEY_<TASK>, or
+// RETURN_KEY), which only the platform's redirect settings hold; the participant
+// never sees it before finishing. A valid return is written to
+// external_returns/{code}_{task} and reported to Apps Script from here, so the
+// browser can ask whether its task was verified but can't claim it was.
+// Neither collection is readable or writable by clients (firestore.rules).
+const NONCE_REGEX = /^[a-f0-9]{24}$/;
+
+function returnKeyFor(task) {
+  return process.env[`RETURN_KEY_${task}`] || process.env.RETURN_KEY || '';
+}
+
+async function forwardToSheets(payload) {
+  const gsRes = await fetch(process.env.SHEETS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: typeof payload === 'string' ? payload : JSON.stringify(payload)
+  });
+  return gsRes;
+}
+
+async function readSessionTask(req) {
+  const data = await readJson(req);
+  if (!data) return null;
+  const sessionCode = String(data.sessionCode || '').toUpperCase();
+  const task = String(data.task || '').toUpperCase();
+  if (!CODE_REGEX.test(sessionCode) || !TASK_REGEX.test(task)) return null;
+  return { sessionCode, task, idToken: data.idToken };
+}
+
+async function handleExternalLink(req, res, admin) {
+  const request = await readSessionTask(req);
+  if (!request) return sendJson(res, 400, { success: false, error: 'Invalid session code or task' });
+  const { sessionCode, task } = request;
+  if (!returnKeyFor(task)) {
+    return sendJson(res, 503, { success: false, error: 'Return links not configured for this task' });
+  }
+  if (!(await sessionOwner(admin, sessionCode, request.idToken))) {
+    return sendJson(res, 404, { success: false, error: 'Session not found' });
+  }
+  const nonce = crypto.randomBytes(12).toString('hex');
+  await admin.firestore().collection('external_links').doc(nonce).set({
+    sessionCode,
+    task,
+    createdAt: new Date(),
+    returnedAt: null
+  });
+  sendJson(res, 200, { success: true, params: { session: sessionCode, task, nonce } });
+}
+
+async function verifyReturn(admin, sessionCode, task, nonce) {
+  const db = admin.firestore();
+  const linkRef = db.collection('external_links').doc(nonce);
+  const returnRef = db.collection('external_returns').doc(`${sessionCode}_${task}`);
+  return db.runTransaction(async (tx) => {
+    const link = await tx.get(linkRef);
+    if (!link.exists || link.get('sessionCode') !== sessionCode || link.get('task') !== task) return null;
+    if (link.get('returnedAt')) return { verifiedAt: link.get('returnedAt').toDate().toISOString(), repeat: true };
+    const verifiedAt = new Date();
+    tx.update(linkRef, { returnedAt: verifiedAt });
+    tx.set(returnRef, { sessionCode, task, nonce, verifiedAt });
+    return { verifiedAt: verifiedAt.toISOString(), repeat: false };
+  });
+}
+
+async function handleReturn(url, res, admin) {
+  const sessionCode = String(url.searchParams.get('session') || '').toUpperCase();
+  const task = String(url.searchParams.get('task') || '').toUpperCase();
+  const nonce = url.searchParams.get('nonce') || '';
+
+  let verified = null;
+  if (CODE_REGEX.test(sessionCode) && TASK_REGEX.test(task) && NONCE_REGEX.test(nonce)
+    && secretMatches(returnKeyFor(task), url.searchParams.get('key'))) {
+    verified = await verifyReturn(admin, sessionCode, task, nonce);
+  }
+  if (verified && !verified.repeat) {
+    forwardToSheets({
+      action: 'task_verified',
+      sessionCode,
+      task,
+      nonce,
+      serverKey: process.env.SHEETS_SERVER_KEY || '',
+      timestamp: verified.verifiedAt
+    }).catch(err => console.error('Could not forward task_verified:', err));
+  }
+
+  res.writeHead(verified ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><title>Spatial Cognition Study</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 40px;">
+  <h1>${verified ? 'Thank you!' : 'We could not confirm this link'}</h1>
+  <p>${verified
+    ? 'Your completion has been recorded. Please close this tab and return to the study tab.'
+    : 'Please return to the study tab and click &ldquo;Mark Complete&rdquo;.'}</p>
+</body></html>`);
+}
+
+// Only an owner of the session may ask
+async function handleReturnStatus(req, res, admin) {
+  const request = await readSessionTask(req);
+  if (!request) return sendJson(res, 400, { success: false, error: 'Invalid session code or task' });
+  const { sessionCode, task } = request;
+  if (!(await sessionOwner(admin, sessionCode, request.idToken))) {
+    return sendJson(res, 404, { success: false, error: 'Session not found' });
+  }
+  const entry = await admin.firestore().collection('external_returns').doc(`${sessionCode}_${task}`).get();
+  sendJson(res, 200, {
+    success: true,
+    verified: entry.exists,
+    verifiedAt: entry.exists ? entry.get('verifiedAt').toDate().toISOString() : null
+  });
+}
+
+const RETURN_ROUTES = {
+  'POST /external-link': handleExternalLink,
+  'GET /return': (req, res, admin, url) => handleReturn(url, res, admin),
+  'POST /return/status': handleReturnStatus
+};
+
+async function handleReturnRoute(route, req, res, url) {
+  const admin = getAdmin();
+  if (!admin) return sendJson(res, 503, { success: false, error: 'Return links not configured' });
+  return route(req, res, admin, url);
+}
+
+// ===============================
+// Recovery links
+// ===============================
+// A recovery link carries a random token, never the session code. Only the
+// token's SHA-256 is stored (recovery_tokens/{hash}, unreadable by clients), so a
+// leaked database export can't be turned back into working links. Tokens expire
+// after RECOVERY_TOKEN_TTL_HOURS and are marked used on first redeem. Issuing
+// and redeeming both carry the browser's anonymous Firebase ID token: only an
+// owner of the session can issue, and redeeming adds the new uid to ownerUids.
+//
+// A device without a link proves itself with the session code and initials
+// (/recovery/link). Two initials are only 676 guesses, so wrong ones are counted
+// per session in link_attempts/{code}: after LINK_MAX_FAILURES the code can't be
+// linked for LINK_LOCKOUT_MS. Clients can't write links or ownerUids themselves.
+async function handleRecoveryIssue(req, res, admin) {
+  const db = admin.firestore();
+  const data = await readJson(req);
+  if (!data) return sendJson(res, 400, { success: false, error: 'Invalid JSON' });
+  const sessionCode = String(data.sessionCode || '').toUpperCase();
+  if (!CODE_REGEX.test(sessionCode)) {
+    return sendJson(res, 400, { success: false, error: 'Invalid session code' });
+  }
+  const uid = await verifiedUid(admin, data.idToken);
+  if (!uid) return sendJson(res, 401, { success: false, error: 'Not signed in' });
+  const session = await db.collection('sessions').doc(sessionCode).get();
+  if (!session.exists || !(session.get('ownerUids') || []).includes(uid)) {
+    return sendJson(res, 404, { success: false, error: 'Session not found' });
+  }
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const expiresAt = new Date(now + RECOVERY_TOKEN_TTL_HOURS * 3600e3);
+  await db.collection('recovery_tokens').doc(hashToken(token)).set({
+    sessionCode,
+    createdAt: new Date(now),
+    expiresAt,
+    usedAt: null,
+    revokedAt: null
+  });
+  sendJson(res, 200, { success: true, token, expiresAt: expiresAt.toISOString() });
+}
+
+async function handleRecoveryRedeem(req, res, admin) {
+  const db = admin.firestore();
+  const data = await readJson(req);
+  if (!data) return sendJson(res, 400, { success: false, error: 'Invalid JSON' });
+  const token = String(data.token || '');
+  if (!/^[A-Za-z0-9_-]{43}$/.test(token)) {
+    return sendJson(res, 400, { success: false, error: 'Invalid token' });
+  }
+  const uid = await verifiedUid(admin, data.idToken);
+  if (!uid) return sendJson(res, 401, { success: false, error: 'Not signed in' });
+  const ref = db.collection('recovery_tokens').doc(hashToken(token));
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return { error: 'Unknown link' };
+    const entry = snap.data();
+    if (entry.revokedAt) return { error: 'This link has been revoked' };
+    if (entry.usedAt) return { error: 'This link has already been used' };
+    if (entry.expiresAt.toDate() < new Date()) return { error: 'This link has expired' };
+    tx.update(ref, { usedAt: new Date(), usedBy: uid });
+    tx.update(db.collection('sessions').doc(entry.sessionCode), {
+      ownerUids: admin.firestore.FieldValue.arrayUnion(uid)
     });
-    return res.end();
+    return { sessionCode: entry.sessionCode };
+  });
+  if (result.error) return sendJson(res, 410, { success: false, error: result.error });
+  sendJson(res, 200, { success: true, sessionCode: result.sessionCode });
+}
+
+async function handleRecoveryLink(req, res, admin) {
+  const db = admin.firestore();
+  const data = await readJson(req);
+  if (!data) return sendJson(res, 400, { success: false, error: 'Invalid JSON' });
+  const sessionCode = String(data.sessionCode || '').toUpperCase();
+  const initials = String(data.initials || '').trim().toUpperCase();
+  if (!CODE_REGEX.test(sessionCode) || !/^[A-Z]{2}$/.test(initials)) {
+    return sendJson(res, 400, { success: false, error: 'Invalid session code or initials' });
   }
+  const uid = await verifiedUid(admin, data.idToken);
+  if (!uid) return sendJson(res, 401, { success: false, error: 'Not signed in' });
+  const sessionRef = db.collection('sessions').doc(sessionCode);
+  const attemptsRef = db.collection('link_attempts').doc(sessionCode);
+  // Same hash as initialsHash() in main.js
+  const initialsHash = hashToken(`${sessionCode}:${initials}`);
+  const result = await db.runTransaction(async (tx) => {
+    const [session, auth, attempts] = await Promise.all([
+      tx.get(sessionRef),
+      tx.get(sessionRef.collection('private').doc('auth')),
+      tx.get(attemptsRef)
+    ]);
+    const now = Date.now();
+    const failures = attempts.exists && now - attempts.get('lastFailureAt').toMillis() < LINK_LOCKOUT_MS
+      ? attempts.get('failures')
+      : 0;
+    if (failures >= LINK_MAX_FAILURES) return { status: 429, error: 'Too many attempts. Please try again later' };
+    if (!session.exists || !auth.exists || auth.get('initialsHash') !== initialsHash) {
+      tx.set(attemptsRef, { failures: failures + 1, lastFailureAt: new Date(now) });
+      return { status: 404, error: 'Session not found' };
+    }
+    tx.set(sessionRef.collection('links').doc(uid), { sessionCode, initialsHash, linkedAt: new Date(now) });
+    tx.update(sessionRef, { ownerUids: admin.firestore.FieldValue.arrayUnion(uid) });
+    if (attempts.exists) tx.delete(attemptsRef);
+    return { status: 200 };
+  });
+  if (result.error) return sendJson(res, result.status, { success: false, error: result.error });
+  sendJson(res, 200, { success: true, sessionCode });
+}
 
-  if (req.method !== 'POST') {
-    res.writeHead(405, {
-      'Access-Control-Allow-Origin': '*',
-      'Content-Type': 'application/json'
+async function handleRecoveryRevoke(req, res, admin) {
+  const db = admin.firestore();
+  if (!secretMatches(process.env.RECOVERY_ADMIN_KEY, req.headers['x-admin-key'])) {
+    return sendJson(res, 403, { success: false, error: 'Forbidden' });
+  }
+  const data = await readJson(req);
+  if (!data) return sendJson(res, 400, { success: false, error: 'Invalid JSON' });
+  const sessionCode = String(data.sessionCode || '').toUpperCase();
+  if (!CODE_REGEX.test(sessionCode)) {
+    return sendJson(res, 400, { success: false, error: 'Invalid session code' });
+  }
+  const open = await db.collection('recovery_tokens')
+    .where('sessionCode', '==', sessionCode)
+    .where('revokedAt', '==', null)
+    .get();
+  const batch = db.batch();
+  open.docs.forEach(doc => batch.update(doc.ref, { revokedAt: new Date() }));
+  await batch.commit();
+  sendJson(res, 200, { success: true, revoked: open.size });
+}
+
+const RECOVERY_ROUTES = {
+  '/recovery/issue': handleRecoveryIssue,
+  '/recovery/redeem': handleRecoveryRedeem,
+  '/recovery/link': handleRecoveryLink,
+  '/recovery/revoke': handleRecoveryRevoke
+};
+
+async function handleRecovery(route, req, res) {
+  const admin = getAdmin();
+  if (!admin) return sendJson(res, 503, { success: false, error: 'Recovery links not configured' });
+  return route(req, res, admin);
+}
+
+// ===============================
+// Offline lab storage
+// ===============================
+// Everything for a session lives in LOCAL_UPLOAD_DIR/{sessionCode}/:
+//   {task}/{item}_{timestamp}.{ext}   recordings
+//   events.jsonl                      one event per line, deduplicated by clientEventId
+//   state.json                        the latest save_state snapshot
+//   manifest.json                     size and SHA-256 of each file above, plus
+//                                     what scripts/syncLocal.js has already replayed
+function sessionDir(sessionCode) {
+  return path.join(LOCAL_UPLOAD_DIR, sessionCode);
+}
+
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function recordInManifest(sessionCode, relPath, entry) {
+  const file = path.join(sessionDir(sessionCode), 'manifest.json');
+  const manifest = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { sessionCode, files: {}, synced: {} };
+  manifest.files[relPath] = { ...entry, updatedAt: new Date().toISOString() };
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// clientEventIds already in each session's events.jsonl
+const storedEventIds = new Map();
+
+function eventIdsFor(sessionCode) {
+  if (!storedEventIds.has(sessionCode)) {
+    const file = path.join(sessionDir(sessionCode), 'events.jsonl');
+    const ids = new Set();
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        try { ids.add(JSON.parse(line).clientEventId); } catch (err) { /* torn last line */ }
+      });
+    }
+    storedEventIds.set(sessionCode, ids);
+  }
+  return storedEventIds.get(sessionCode);
+}
+
+// One event from the event queue (public/eventQueue.js). A save_state event
+// also replaces state.json, so the sync has the latest full state to write.
+async function handleLocalEvent(req, res) {
+  const event = await readJson(req);
+  if (!event || !CODE_REGEX.test(event.sessionCode || '') || typeof event.clientEventId !== 'string') {
+    return sendJson(res, 400, { success: false, error: 'Invalid event' });
+  }
+  const { sessionCode } = event;
+  const dir = sessionDir(sessionCode);
+  const ids = eventIdsFor(sessionCode);
+  if (ids.has(event.clientEventId)) return sendJson(res, 200, { success: true, duplicate: true });
+
+  fs.mkdirSync(dir, { recursive: true });
+  const eventsFile = path.join(dir, 'events.jsonl');
+  fs.appendFileSync(eventsFile, `${JSON.stringify({ ...event, receivedAt: new Date().toISOString() })}\n`);
+  ids.add(event.clientEventId);
+  recordInManifest(sessionCode, 'events.jsonl', {
+    kind: 'events',
+    count: ids.size,
+    size: fs.statSync(eventsFile).size,
+    sha256: sha256File(eventsFile)
+  });
+
+  if (event.action === 'save_state' && event.state && typeof event.state === 'object') {
+    const stateFile = path.join(dir, 'state.json');
+    fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(event.state, null, 2));
+    fs.renameSync(`${stateFile}.tmp`, stateFile);
+    recordInManifest(sessionCode, 'state.json', {
+      kind: 'state',
+      size: fs.statSync(stateFile).size,
+      sha256: sha256File(stateFile)
     });
-    return res.end(JSON.stringify({ success: false, error: 'Method not allowed' }));
   }
+  sendJson(res, 200, { success: true });
+}
 
-  let body = '';
-  req.on('data', chunk => { body += chunk; });
-  req.on('end', async () => {
+// Multipart POST from the 'local' backend in public/uploadBackends.js: text
+// fields sessionCode, task, item (and stimulusId, imageNumber, recordingType), then `file`.
+// The response carries the size and SHA-256 so the client can verify the copy.
+function uploadExtension(mimeType) {
+  const match = /^(?:video|audio)\/(?:x-)?([a-z0-9]+)/.exec(mimeType || '');
+  if (!match) return null;
+  return { quicktime: 'mov', 'x-m4a': 'm4a' }[match[1]] || match[1];
+}
+
+function handleLocalUpload(req, res) {
+  return new Promise((resolve) => {
+    let busboy;
     try {
-      const gsRes = await fetch(process.env.SHEETS_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-        body
-      });
-      const text = await gsRes.text();
-      res.writeHead(gsRes.status, {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': gsRes.headers.get('content-type') || 'application/json'
-      });
-      res.end(text);
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
     } catch (err) {
-      console.error('Proxy error:', err);
-      res.writeHead(500, {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json'
-      });
-      res.end(JSON.stringify({ success: false, error: 'Proxy request failed' }));
+      sendJson(res, 400, { success: false, error: 'Expected multipart/form-data' });
+      return resolve();
     }
+
+    const fields = {};
+    let stored = null;
+    let failure = null;
+    let pending = Promise.resolve();
+
+    busboy.on('field', (name, value) => { fields[name] = value; });
+    busboy.on('file', (name, stream, info) => {
+      const ext = uploadExtension(info.mimeType);
+      const { sessionCode, task, item } = fields;
+      if (name !== 'file' || !ext || !CODE_REGEX.test(sessionCode || '') || !TASK_REGEX.test(task || '') || !ITEM_REGEX.test(item || '')) {
+        failure = failure || 'Invalid upload';
+        return stream.resume();
+      }
+      const dir = path.join(sessionDir(sessionCode), task);
+      const fileName = `${item}_${new Date().toISOString().replace(/[:.]/g, '-')}.${ext}`;
+      const target = path.join(dir, fileName);
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      fs.mkdirSync(dir, { recursive: true });
+      stream.on('data', chunk => {
+        hash.update(chunk);
+        size += chunk.length;
+      });
+      stream.on('limit', () => { failure = 'File too large'; });
+      pending = new Promise((done) => {
+        stream.pipe(fs.createWriteStream(target, { flags: 'wx' }))
+          .on('finish', () => {
+            stored = { path: `${sessionCode}/${task}/${fileName}`, file: target, contentType: info.mimeType, size, sha256: hash.digest('hex') };
+            done();
+          })
+          .on('error', (err) => {
+            console.error('Local upload write failed:', err);
+            failure = failure || 'Could not store upload';
+            done();
+          });
+      });
+    });
+    busboy.on('error', (err) => {
+      console.error('Local upload parse failed:', err);
+      failure = failure || 'Malformed upload';
+    });
+    busboy.on('close', async () => {
+      await pending;
+      if (failure || !stored) {
+        if (stored) fs.unlink(stored.file, () => {});
+        sendJson(res, failure === 'File too large' ? 413 : 400, { success: false, error: failure || 'No file received' });
+      } else {
+        recordInManifest(fields.sessionCode, stored.path.slice(fields.sessionCode.length + 1), {
+          kind: 'recording',
+          task: fields.task,
+          item: fields.item,
+          stimulusId: fields.stimulusId || '',
+          imageNumber: Number(fields.imageNumber) || null,
+          recordingType: fields.recordingType || '',
+          contentType: stored.contentType,
+          size: stored.size,
+          sha256: stored.sha256
+        });
+        sendJson(res, 200, { success: true, path: stored.path, size: stored.size, sha256: stored.sha256 });
+      }
+      resolve();
+    });
+    req.pipe(busboy);
   });
+}
 
-  req.on('error', err => {
-    console.error('Request error:', err);
-    res.writeHead(500, {
+const LOCAL_ROUTES = LOCAL_LAB ? {
+  '/uploads': handleLocalUpload,
+  '/local/events': handleLocalEvent
+} : {};
+
+async function handleLocal(route, req, res) {
+  if (!secretMatches(process.env.LOCAL_LAB_KEY, req.headers['x-lab-key'])) {
+    return sendJson(res, 403, { success: false, error: 'Forbidden' });
+  }
+  return route(req, res);
+}
+
+// ===============================
+// Apps Script proxy
+// ===============================
+async function handleProxy(req, res) {
+  const body = await readBody(req);
+  try {
+    const gsRes = await forwardToSheets(body);
+    const text = await gsRes.text();
+    res.writeHead(gsRes.status, {
       'Access-Control-Allow-Origin': '*',
-      'Content-Type': 'application/json'
+      'Content-Type': gsRes.headers.get('content-type') || 'application/json'
     });
-    res.end(JSON.stringify({ success: false, error: 'Request stream error' }));
-  });
+    res.end(text);
+  } catch (err) {
+    console.error('Proxy error:', err);
+    sendJson(res, 500, { success: false, error: 'Proxy request failed' });
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/health') return sendJson(res, 200, { success: true });
+    const returnRoute = RETURN_ROUTES[`${req.method} ${url.pathname}`];
+    if (returnRoute) return await handleReturnRoute(returnRoute, req, res, url);
+    if (req.method === 'POST' && RECOVERY_ROUTES[url.pathname]) return await handleRecovery(RECOVERY_ROUTES[url.pathname], req, res);
+    if (req.method === 'POST' && LOCAL_ROUTES[url.pathname]) return await handleLocal(LOCAL_ROUTES[url.pathname], req, res);
+    if (req.method === 'POST') return await handleProxy(req, res);
+  } catch (err) {
+    console.error('Request error:', err);
+    return sendJson(res, 500, { success: false, error: 'Request stream error' });
+  }
+
+  sendJson(res, 405, { success: false, error: 'Method not allowed' });
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
+  if (LOCAL_LAB) console.log(`Offline lab storage enabled in ${LOCAL_UPLOAD_DIR}`);
 });
 
 server.on('error', err => {
   console.error('Server error:', err);
 });
-
@@ -0,0 +1,79 @@
+// test/eventQueue.test.js
+// public/eventQueue.js in a bare VM context with in-memory IndexedDB and localStorage stand-ins.
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'eventQueue.js'), 'utf8');
+
+function loadQueue() {
+  const stored = new Map();
+  const items = new Map();
+  const listeners = {};
+  const context = {
+    crypto: require('crypto').webcrypto,
+    navigator: { onLine: true },
+    setTimeout,
+    clearTimeout,
+    console: { ...console, error() {} },
+    addEventListener(type, fn) { listeners[type] = fn; },
+    document: { addEventListener() {} },
+    localStorage: {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value))
+    },
+    studyIdb: {
+      put: async (store, entry) => { stored.set(entry.clientEventId, JSON.parse(JSON.stringify(entry))); },
+      delete: async (store, id) => { stored.delete(id); },
+      getAll: async () => Array.from(stored.values())
+    }
+  };
+  context.window = context;
+  vm.runInNewContext(SOURCE, context);
+  // The queue retries everything at once when the browser comes back online
+  return { queue: context.eventQueue, retryNow: () => listeners.online() };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function rejected(code, eventWriteRejected) {
+  const err = new Error(code);
+  err.code = code;
+  err.eventWriteRejected = eventWriteRejected;
+  return err;
+}
+
+test('a replay the rules refuse after a lost acknowledgement counts as delivered', async () => {
+  const { queue, retryNow } = loadQueue();
+  const outcomes = [new Error('Send timed out'), rejected('permission-denied', true)];
+  queue.setTransport(async () => { throw outcomes.shift(); });
+  await queue.enqueue({ action: 'task_started', sessionCode: 'AB12CD34' });
+  await settle();
+  retryNow();
+  await settle();
+
+  assert.strictEqual(outcomes.length, 0);
+  assert.strictEqual(await queue.pendingCount(), 0);
+  assert.deepStrictEqual(Array.from(queue.dropped()), []);
+});
+
+test('permission-denied without an earlier unanswered send is retried, then dropped', async () => {
+  const { queue, retryNow } = loadQueue();
+  let sends = 0;
+  queue.setTransport(async () => {
+    sends += 1;
+    throw rejected('permission-denied', true);
+  });
+  await queue.enqueue({ action: 'task_started', sessionCode: 'AB12CD34' });
+  await settle();
+  for (let i = 0; i < 2; i++) {
+    retryNow();
+    await settle();
+  }
+
+  assert.strictEqual(sends, 3);
+  assert.strictEqual(await queue.pendingCount(), 0);
+  assert.deepStrictEqual(Array.from(queue.dropped(), d => d.error), ['permission-denied']);
+});
@@ -0,0 +1,175 @@
+// test/firestore.rules.test.js
+// firestore.rules against the Firestore emulator. Run with `npm test`, which
+// starts the emulator (firebase-tools, needs Java) and runs everything in test/.
+const { describe, test, before, after, beforeEach } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+
+const CODE = 'AB12CD34';
+const OWNER = 'owner-uid';
+const STRANGER = 'stranger-uid';
+
+let env;
+
+// Same hash as initialsHash() in main.js and /recovery/link in server.js
+function initialsHash(code, initials) {
+  return crypto.createHash('sha256').update(`${code}:${initials}`).digest('hex');
+}
+
+function db(uid) {
+  return (uid ? env.authenticatedContext(uid) : env.unauthenticatedContext()).firestore();
+}
+
+async function seed(docs) {
+  await env.withSecurityRulesDisabled(async (context) => {
+    const store = context.firestore();
+    for (const [docPath, data] of Object.entries(docs)) await store.doc(docPath).set(data);
+  });
+}
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-study',
+    firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+  });
+});
+
+after(() => env.cleanup());
+
+beforeEach(() => env.clearFirestore());
+
+describe('sessions', () => {
+  beforeEach(() => seed({
+    [`sessions/${CODE}`]: { sessionCode: CODE, ownerUids: [OWNER], rev: 3 },
+    [`sessions/${CODE}/private/auth`]: { sessionCode: CODE, initialsHash: initialsHash(CODE, 'JD') }
+  }));
+
+  test('a browser can create a session it owns', async () => {
+    await assertSucceeds(db(STRANGER).doc('sessions/ZZ99YY88').set({ sessionCode: 'ZZ99YY88', ownerUids: [STRANGER], rev: 0 }));
+  });
+
+  test('a new session cannot list other owners or carry an email', async () => {
+    await assertFails(db(STRANGER).doc('sessions/ZZ99YY88').set({ sessionCode: 'ZZ99YY88', ownerUids: [STRANGER, OWNER], rev: 0 }));
+    await assertFails(db(STRANGER).doc('sessions/ZZ99YY88').set({ sessionCode: 'ZZ99YY88', ownerUids: [STRANGER], email: 'a@b.c' }));
+  });
+
+  test('the owner can read the session; others and signed-out browsers cannot', async () => {
+    await assertSucceeds(db(OWNER).doc(`sessions/${CODE}`).get());
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}`).get());
+    await assertFails(db(null).doc(`sessions/${CODE}`).get());
+  });
+
+  test('sessions cannot be listed', async () => {
+    await assertFails(db(OWNER).collection('sessions').get());
+  });
+
+  test('a state save bumps rev by exactly one', async () => {
+    const ref = db(OWNER).doc(`sessions/${CODE}`);
+    await assertSucceeds(ref.update({ rev: 4, currentTaskIndex: 1 }));
+    await assertFails(ref.update({ rev: 6 }));
+    await assertFails(ref.update({ rev: 2 }));
+    await assertSucceeds(ref.update({ lastWriter: 'tab-1' }));
+  });
+
+  test('a non-owner cannot update the session', async () => {
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}`).update({ rev: 4 }));
+  });
+
+  test('no client can change ownerUids', async () => {
+    await assertFails(db(OWNER).doc(`sessions/${CODE}`).update({ ownerUids: [OWNER, STRANGER] }));
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}`).update({ ownerUids: [OWNER, STRANGER] }));
+  });
+
+  test('private docs are never readable', async () => {
+    await assertFails(db(OWNER).doc(`sessions/${CODE}/private/auth`).get());
+  });
+});
+
+describe('linking another device', () => {
+  beforeEach(() => seed({
+    [`sessions/${CODE}`]: { sessionCode: CODE, ownerUids: [OWNER], rev: 0 },
+    [`sessions/${CODE}/private/auth`]: { sessionCode: CODE, initialsHash: initialsHash(CODE, 'JD') }
+  }));
+
+  test('a client cannot write its own link, even with the right initials', async () => {
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}/links/${STRANGER}`).set({
+      sessionCode: CODE,
+      initialsHash: initialsHash(CODE, 'JD')
+    }));
+  });
+
+  test('a server-written link does not let the device add itself to ownerUids', async () => {
+    await seed({ [`sessions/${CODE}/links/${STRANGER}`]: { sessionCode: CODE, initialsHash: initialsHash(CODE, 'JD') } });
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}`).update({ ownerUids: [OWNER, STRANGER] }));
+  });
+
+  test('links and link attempts are unreadable', async () => {
+    await seed({ [`link_attempts/${CODE}`]: { failures: 1 } });
+    await assertFails(db(OWNER).doc(`sessions/${CODE}/links/${OWNER}`).get());
+    await assertFails(db(OWNER).doc(`link_attempts/${CODE}`).get());
+  });
+
+  test('a device the server linked can read and save the session', async () => {
+    await seed({ [`sessions/${CODE}`]: { sessionCode: CODE, ownerUids: [OWNER, STRANGER], rev: 0 } });
+    await assertSucceeds(db(STRANGER).doc(`sessions/${CODE}`).get());
+    await assertSucceeds(db(STRANGER).doc(`sessions/${CODE}`).update({ rev: 1 }));
+  });
+});
+
+describe('events and trials', () => {
+  beforeEach(() => seed({ [`sessions/${CODE}`]: { sessionCode: CODE, ownerUids: [OWNER], rev: 0 } }));
+
+  test('owners create events keyed by clientEventId, once', async () => {
+    const ref = db(OWNER).doc(`sessions/${CODE}/events/evt-1`);
+    await assertSucceeds(ref.set({ sessionCode: CODE, clientEventId: 'evt-1' }));
+    await assertFails(ref.set({ sessionCode: CODE, clientEventId: 'evt-1' }));
+    await assertFails(db(OWNER).doc(`sessions/${CODE}/events/evt-2`).set({ sessionCode: CODE, clientEventId: 'evt-3' }));
+  });
+
+  test('non-owners cannot write events or trials', async () => {
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}/events/evt-1`).set({ sessionCode: CODE, clientEventId: 'evt-1' }));
+    await assertFails(db(STRANGER).doc(`sessions/${CODE}/trials/evt-1_0`).set({ sessionCode: CODE }));
+  });
+});
+
+describe('assignments', () => {
+  const KEY = 'desktop-RC-MRT-SN';
+
+  test('the first session creates the counter with one row at 1', async () => {
+    await assertSucceeds(db(OWNER).doc(`assignments/${KEY}`).set({ key: KEY, rows: 3, counts: { 0: 1 }, total: 1, lastRow: 0 }));
+  });
+
+  test('creating with a head start is rejected', async () => {
+    await assertFails(db(OWNER).doc(`assignments/${KEY}`).set({ key: KEY, rows: 3, counts: { 0: 1, 1: 5 }, total: 1, lastRow: 0 }));
+  });
+
+  describe('existing counter', () => {
+    beforeEach(() => seed({ [`assignments/${KEY}`]: { key: KEY, rows: 3, counts: { 0: 2, 1: 1 }, total: 3, lastRow: 0 } }));
+
+    test('bumping one row by one is accepted, including a row not counted yet', async () => {
+      await assertSucceeds(db(OWNER).doc(`assignments/${KEY}`).set({ key: KEY, rows: 3, counts: { 0: 2, 1: 1, 2: 1 }, total: 4, lastRow: 2 }));
+    });
+
+    test('changing another row, or adding more than one, is rejected', async () => {
+      const ref = db(OWNER).doc(`assignments/${KEY}`);
+      await assertFails(ref.set({ key: KEY, rows: 3, counts: { 0: 0, 1: 2 }, total: 4, lastRow: 1 }));
+      await assertFails(ref.set({ key: KEY, rows: 3, counts: { 0: 2, 1: 3 }, total: 4, lastRow: 1 }));
+      await assertFails(ref.set({ key: KEY, rows: 3, counts: { 0: 2, 1: 2 }, total: 4, lastRow: 0 }));
+    });
+
+    test('resetting the counter is rejected', async () => {
+      await assertFails(db(OWNER).doc(`assignments/${KEY}`).set({ key: KEY, rows: 3, counts: { 0: 1 }, total: 1, lastRow: 0 }));
+    });
+
+    test('signed-out browsers cannot read or write it', async () => {
+      await assertFails(db(null).doc(`assignments/${KEY}`).get());
+      await assertFails(db(null).doc(`assignments/${KEY}`).set({ key: KEY, rows: 3, counts: { 0: 2, 1: 2 }, total: 4, lastRow: 1 }));
+    });
+  });
+});
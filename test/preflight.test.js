@@ -0,0 +1,44 @@
+// test/preflight.test.js
+// public/preflight.js in a bare VM context; fetch is stubbed per test.
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'preflight.js'), 'utf8');
+
+function loadPreflight(fetch) {
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    fetch,
+    navigator: { userAgent: 'node' },
+    document: {},
+    addEventListener() {}
+  };
+  context.window = context;
+  vm.runInNewContext(SOURCE, context);
+  return context.preflight;
+}
+
+test('an unknown check id gets a verdict instead of throwing', async () => {
+  const preflight = loadPreflight(async () => ({ ok: true }));
+  const outcome = await preflight.recheck('embed:GONE', { embeds: [] });
+  assert.strictEqual(outcome.id, 'embed:GONE');
+  assert.strictEqual(outcome.verdict, 'warn');
+});
+
+test('the study server check pings GET /health and fails on an error status', async () => {
+  const requested = [];
+  let status = 200;
+  const preflight = loadPreflight(async (url, init) => {
+    requested.push([url, (init && init.method) || 'GET']);
+    return { ok: status === 200, status };
+  });
+  assert.strictEqual((await preflight.recheck('study_server', { serverUrl: 'http://lab:3000' })).verdict, 'pass');
+  status = 404;
+  assert.strictEqual((await preflight.recheck('study_server', { serverUrl: 'http://lab:3000' })).verdict, 'fail');
+  assert.deepStrictEqual(requested[0], ['http://lab:3000/health', 'GET']);
+});
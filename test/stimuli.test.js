@@ -0,0 +1,46 @@
+// test/stimuli.test.js
+// Counterbalancing helpers from public/tasks.js. tasks.js is an ES module for the
+// esbuild bundle, so its exports are loaded into a VM context as plain functions.
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'tasks.js'), 'utf8').replace(/^export /gm, '');
+const { nextAssignmentRow, chooseStimuli, latinSquareRowCount } = vm.runInNewContext(
+  `${source}\n;({ nextAssignmentRow, chooseStimuli, latinSquareRowCount })`,
+  { window: {}, navigator: {}, localStorage: {} }
+);
+
+const SET = {
+  id: 'pictures',
+  order: 'counterbalanced',
+  images: ['a', 'b', 'c'].map(id => ({ id, src: `images/${id}.jpg` }))
+};
+
+// What the assignments/{key} transaction does for each new session
+function assignConsecutive(rows, sessions) {
+  const counts = {};
+  return Array.from({ length: sessions }, () => {
+    const row = nextAssignmentRow(counts, rows);
+    counts[row] = (counts[row] || 0) + 1;
+    return row;
+  });
+}
+
+test('consecutive assignments rotate through every row', () => {
+  const rows = latinSquareRowCount(SET.images.length);
+  assert.deepStrictEqual(assignConsecutive(rows, 2 * rows), [0, 1, 2, 3, 4, 5, 0, 1, 2, 3, 4, 5]);
+});
+
+test('the least-filled row goes first, lowest on a tie', () => {
+  assert.strictEqual(nextAssignmentRow({ 0: 2, 1: 1, 2: 1 }, 3), 1);
+  assert.strictEqual(nextAssignmentRow({ 0: 2, 1: 2 }, 3), 2);
+});
+
+test('one full rotation shows each image first equally often', () => {
+  const rows = latinSquareRowCount(SET.images.length);
+  const firsts = assignConsecutive(rows, rows).map(row => chooseStimuli(SET, { seed: 7, row }).items[0].id);
+  assert.deepStrictEqual(firsts.slice().sort(), ['a', 'a', 'b', 'b', 'c', 'c']);
+});
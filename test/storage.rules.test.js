@@ -0,0 +1,108 @@
+// test/storage.rules.test.js
+// storage.rules against the Storage and Firestore emulators (recording access
+// is checked against sessions/{code}.ownerUids). Run with `npm test`.
+const { describe, test, before, after, beforeEach } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+
+const CODE = 'AB12CD34';
+const OWNER = 'owner-uid';
+const STRANGER = 'stranger-uid';
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // public/storagePaths.js
+const RECORDING = `sessions/${CODE}/recordings/ID/image1_2025-01-01T00-00-00-000Z.webm`;
+
+let env;
+
+function storage(uid) {
+  return (uid ? env.authenticatedContext(uid) : env.unauthenticatedContext()).storage();
+}
+
+function upload(uid, filePath, bytes, contentType) {
+  return storage(uid).ref(filePath).put(bytes, { contentType });
+}
+
+const clip = (size = 1024) => new Uint8Array(size);
+
+before(async () => {
+  const root = path.join(__dirname, '..');
+  env = await initializeTestEnvironment({
+    projectId: 'demo-study',
+    firestore: { rules: fs.readFileSync(path.join(root, 'firestore.rules'), 'utf8') },
+    storage: { rules: fs.readFileSync(path.join(root, 'storage.rules'), 'utf8') }
+  });
+});
+
+after(() => env.cleanup());
+
+beforeEach(async () => {
+  await env.clearStorage();
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    await context.firestore().doc(`sessions/${CODE}`).set({ sessionCode: CODE, ownerUids: [OWNER], rev: 0 });
+  });
+});
+
+describe('session recordings', () => {
+  test('an owner can upload video or audio and read it back', async () => {
+    await assertSucceeds(upload(OWNER, RECORDING, clip(), 'video/webm'));
+    await assertSucceeds(upload(OWNER, RECORDING.replace('.webm', '.m4a'), clip(), 'audio/mp4'));
+    await assertSucceeds(storage(OWNER).ref(RECORDING).getMetadata());
+  });
+
+  test('a non-owner or signed-out browser can neither upload nor read', async () => {
+    await assertFails(upload(STRANGER, RECORDING, clip(), 'video/webm'));
+    await assertFails(upload(null, RECORDING, clip(), 'video/webm'));
+    await assertSucceeds(upload(OWNER, RECORDING, clip(), 'video/webm'));
+    await assertFails(storage(STRANGER).ref(RECORDING).getMetadata());
+  });
+
+  test('other content types are rejected', async () => {
+    await assertFails(upload(OWNER, RECORDING, clip(), 'text/plain'));
+    await assertFails(upload(OWNER, RECORDING, clip(), 'image/png'));
+  });
+
+  test('files must be smaller than MAX_UPLOAD_BYTES', async () => {
+    await assertSucceeds(upload(OWNER, RECORDING, clip(MAX_UPLOAD_BYTES - 1), 'video/webm'));
+    await assertFails(upload(OWNER, RECORDING.replace('image1', 'image2'), clip(MAX_UPLOAD_BYTES), 'video/webm'));
+  });
+
+  test('recordings cannot be overwritten or deleted', async () => {
+    await assertSucceeds(upload(OWNER, RECORDING, clip(), 'video/webm'));
+    await assertFails(upload(OWNER, RECORDING, clip(), 'video/webm'));
+    await assertFails(storage(OWNER).ref(RECORDING).delete());
+  });
+});
+
+describe('debug uploads', () => {
+  test('a uid can write and read only its own folder', async () => {
+    await assertSucceeds(upload(OWNER, `debug/${OWNER}/run_1.webm`, clip(), 'video/webm'));
+    await assertSucceeds(storage(OWNER).ref(`debug/${OWNER}/run_1.webm`).getMetadata());
+    await assertFails(upload(STRANGER, `debug/${OWNER}/run_2.webm`, clip(), 'video/webm'));
+    await assertFails(storage(STRANGER).ref(`debug/${OWNER}/run_1.webm`).getMetadata());
+  });
+});
+
+describe('support screenshots', () => {
+  const SHOT = `support/${OWNER}/T-1234.jpg`;
+
+  test('JPEG or PNG under 5 MB, write-once and never readable', async () => {
+    await assertSucceeds(upload(OWNER, SHOT, clip(), 'image/jpeg'));
+    await assertFails(storage(OWNER).ref(SHOT).getMetadata());
+    await assertFails(upload(OWNER, SHOT, clip(), 'image/jpeg'));
+  });
+
+  test('other types, large files and other uids are rejected', async () => {
+    await assertFails(upload(OWNER, `support/${OWNER}/T-2.jpg`, clip(), 'video/webm'));
+    await assertFails(upload(OWNER, `support/${OWNER}/T-3.jpg`, clip(5 * 1024 * 1024), 'image/jpeg'));
+    await assertFails(upload(STRANGER, `support/${OWNER}/T-4.jpg`, clip(), 'image/jpeg'));
+  });
+});
+
+test('anything outside these paths is closed', async () => {
+  await assertFails(upload(OWNER, 'public/anything.webm', clip(), 'video/webm'));
+});
@@ -0,0 +1,52 @@
+// test/uploadQueue.test.js
+// public/uploadQueue.js in a bare VM context with an in-memory IndexedDB stand-in.
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'uploadQueue.js'), 'utf8');
+
+function loadQueue() {
+  const stored = new Map();
+  const context = {
+    crypto: require('crypto').webcrypto,
+    navigator: { onLine: true },
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    console,
+    addEventListener() {},
+    studyIdb: {
+      put: async (store, entry) => { stored.set(entry.id, entry); },
+      delete: async (store, id) => { stored.delete(id); },
+      getAll: async () => Array.from(stored.values())
+    }
+  };
+  context.window = context;
+  vm.runInNewContext(SOURCE, context);
+  return context.uploadQueue;
+}
+
+test('a re-recorded clip keeps its recording attempts through upload retries', async () => {
+  const queue = loadQueue();
+  let calls = 0;
+  const uploaded = new Promise(resolve => queue.onUploaded(entry => resolve(entry)));
+  queue.setUploader(async () => {
+    calls += 1;
+    if (calls === 1) throw new Error('network down');
+    return { url: 'https://example.test/clip.webm', backend: 'test' };
+  });
+  await queue.start();
+
+  const file = { name: 'image1.webm', type: 'video/webm', size: 1024 };
+  const id = await queue.add(file, { sessionCode: 'AB12CD34', task: 'ID', imageNumber: 1, recordingAttempts: 3 });
+  await new Promise(resolve => setImmediate(resolve));
+  await queue.resume(id);
+
+  const entry = await uploaded;
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(entry.recordingAttempts, 3);
+  assert.strictEqual(entry.attempts, 1);
+});